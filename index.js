@@ -1,10 +1,17 @@
 import * as core from "@actions/core";
 import * as github from "@actions/github";
 
-import { toBool, clampInt, upsertComment, deleteCommentByMarker, listAllPRFiles, fmt } from "./lib/utils.js";
-import { DEFAULT_IGNORE, parseIgnorePatterns, filterIgnoredFiles, analyzeSize, formatSizeSection, applySizeLabel } from "./lib/size-analyzer.js";
+import { toBool, clampInt, upsertComment, deleteCommentByMarker } from "./lib/utils.js";
+import { DEFAULT_CONFIG_PATH, loadSettings } from "./lib/config.js";
+import { filterIgnoredFiles, analyzeSize, formatSizeSection, applySizeLabel } from "./lib/size-analyzer.js";
+import { buildSplitPlan } from "./lib/split-planner.js";
+import { loadHistoryCache, saveHistoryCache } from "./lib/history-cache.js";
+import { installApiClient, withoutBudget, getApiStats, formatSkippedNote } from "./lib/api-client.js";
+import { checkDescription, formatDescriptionSection } from "./lib/description-checker.js";
 import { daysBetween, analyzeState, formatStateSection, staleSweep } from "./lib/state-explainer.js";
-import { parseCommaSeparated, analyzeReviewers, formatReviewerSection } from "./lib/reviewer-suggester.js";
+import { loadPullRequestData } from "./lib/pr-data.js";
+import { analyzeReviewers, requestSuggestedReviewers, formatReviewerSection } from "./lib/reviewer-suggester.js";
+import { recordRequestedPick } from "./lib/load-balancer.js";
 
 const MARKER = "<!-- pr-advisor:v0 -->";
 
@@ -24,66 +31,68 @@ async function cleanupOldComments(octokit, { owner, repo, issue_number }) {
   }
 }
 
+function logApiStats() {
+  const { used, budget, retries, remaining } = getApiStats();
+  core.info(`API requests: ${used}${budget ? ` of ${budget} budgeted` : ""}, ${retries} retried${remaining != null ? `, ${remaining} remaining in rate limit` : ""}.`);
+}
+
 async function run() {
   try {
     const token = core.getInput("github_token", { required: true });
     const dryRun = toBool(core.getInput("dry_run"), false);
     const stepSummary = toBool(core.getInput("step_summary"), false);
-
-    // Section toggles
-    const enableSize = toBool(core.getInput("enable_size"), true);
-    const enableState = toBool(core.getInput("enable_state"), true);
-    const enableReviewer = toBool(core.getInput("enable_reviewer"), true);
-
-    // Size inputs
-    const maxFiles = clampInt(core.getInput("max_files"), 500, 1, 5000);
-    const addLabel = toBool(core.getInput("add_label"), false);
-    const ignoreRaw = core.getInput("ignore_patterns") || DEFAULT_IGNORE;
-    const ignorePatterns = parseIgnorePatterns(ignoreRaw);
-    const xsLines = clampInt(core.getInput("xs_lines"), 50, 1, 1000000);
-    const sLines = clampInt(core.getInput("s_lines"), 200, xsLines, 1000000);
-    const mLines = clampInt(core.getInput("m_lines"), 500, sLines, 1000000);
-    const lLines = clampInt(core.getInput("l_lines"), 1000, mLines, 1000000);
-    const xsFiles = clampInt(core.getInput("xs_files"), 2, 1, 1000000);
-    const sFiles = clampInt(core.getInput("s_files"), 5, xsFiles, 1000000);
-    const mFiles = clampInt(core.getInput("m_files"), 15, sFiles, 1000000);
-    const lFiles = clampInt(core.getInput("l_files"), 30, mFiles, 1000000);
-
-    // State inputs
-    const staleDays = clampInt(core.getInput("stale_days"), 3, 1, 365);
-    const commentOnlyWhenStale = toBool(core.getInput("comment_only_when_stale"), false);
-    const maxChecks = clampInt(core.getInput("max_checks"), 50, 10, 200);
-    const staleOverridesRaw = core.getInput("stale_overrides") || "";
-    const showReviewLatency = toBool(core.getInput("review_latency"), false);
-    const language = (core.getInput("language") || "en").trim().toLowerCase();
-    const sweepStale = toBool(core.getInput("sweep_stale"), false);
-    const maxPRs = clampInt(core.getInput("max_prs"), 50, 1, 200);
-
-    // Reviewer inputs
-    const maxReviewers = clampInt(core.getInput("max_reviewers"), 3, 1, 20);
-    const lookbackDays = clampInt(core.getInput("lookback_days"), 90, 1, 365);
-    const reviewerMaxFiles = clampInt(core.getInput("reviewer_max_files"), 50, 1, 200);
-    const useCodeowners = toBool(core.getInput("use_codeowners"), true);
-    const useLatency = toBool(core.getInput("use_latency"), true);
-    const latencyPRs = clampInt(core.getInput("latency_prs"), 20, 5, 50);
-    const penalizeLoad = toBool(core.getInput("penalize_load"), true);
-    const excludeReviewersInput = parseCommaSeparated(core.getInput("exclude_reviewers"));
-    const crossRepoList = parseCommaSeparated(core.getInput("cross_repo_list"));
-    const requiredReviewers = parseCommaSeparated(core.getInput("required_reviewers"));
-    const preferTimezone = (core.getInput("prefer_timezone") || "").trim();
-    const showBreakdown = toBool(core.getInput("show_breakdown"), false);
-    const detectFlaky = toBool(core.getInput("detect_flaky"), false);
+    const configPath = (core.getInput("config_path") || DEFAULT_CONFIG_PATH).trim();
+    const apiBudget = clampInt(core.getInput("api_request_budget"), 0, 0, 100000);
+    const apiMaxRetries = clampInt(core.getInput("api_max_retries"), 3, 0, 10);
+    const useGraphql = toBool(core.getInput("use_graphql"), true);
 
     const ctx = github.context;
-    const octokit = github.getOctokit(token);
+    const octokit = installApiClient(github.getOctokit(token), { budget: apiBudget, maxRetries: apiMaxRetries });
     const { owner, repo } = ctx.repo;
 
+    // Settings: action inputs > config file (from the base branch) > defaults
+    const settings = await loadSettings(octokit, {
+      owner, repo, path: configPath,
+      ref: ctx.payload.pull_request?.base?.sha
+    });
+
+    const { enableSize, enableDescription, enableState, enableReviewer } = settings;
+
+    // Size settings
+    const { maxFiles, addLabel, ignorePatterns, sizePathRules, splitPlanner, splitMaxFiles } = settings;
+    const { xsLines, sLines, mLines, lLines, xsFiles, sFiles, mFiles, lFiles } = settings;
+
+    // State settings
+    const {
+      staleDays, commentOnlyWhenStale, maxChecks, staleOverrides, showReviewLatency,
+      reviewThreads, mergeRequirements, diagnoseFailures, explainConflicts, behindBase, maxBaseAgeDays,
+      linkedIssues, detectFlakyChecks, flakyCheckSamples, language, sweepStale, maxPRs, sweepConcurrency, sweepDigest,
+      digestIssue, escalation
+    } = settings;
+
+    // Description settings
+    const { templatePath, checkTemplate, requireLinkedIssue, requireTestPlan, minLength, descriptionBlocking } = settings;
+
+    // Reviewer settings
+    const {
+      maxReviewers, lookbackDays, reviewerMaxFiles, useCodeowners, useBlame, useLatency, latencyPRs,
+      penalizeLoad, excludeReviewersInput, crossRepoList, requiredReviewers,
+      preferTimezone, showBreakdown, detectFlaky, autoRequest, autoRequestCount,
+      historyCacheBranch, useStatus, availabilityFile, unavailableMode,
+      loadBalancing, reviewerPool, balanceDays
+    } = settings;
+
     // Stale sweep mode: only state section runs, iterates all open PRs
     if (sweepStale || ctx.eventName === "schedule") {
       await staleSweep(octokit, {
-        owner, repo, staleDays, maxChecks, staleOverridesRaw,
-        dryRun, showReviewLatency, language, maxPRs, marker: MARKER
+        owner, repo, staleDays, maxChecks, staleOverrides,
+        dryRun, showReviewLatency, reviewThreads, mergeRequirements, diagnoseFailures, explainConflicts,
+        behindBase, maxBaseAgeDays, linkedIssues, detectFlakyChecks, flakyCheckSamples, language, maxPRs, marker: MARKER,
+        digest: sweepDigest, digestIssue, escalation, concurrency: sweepConcurrency, useGraphql,
+        sizeThresholds: { xsLines, sLines, mLines, lLines, xsFiles, sFiles, mFiles, lFiles },
+        ignorePatterns, sizePathRules, maxFiles
       });
+      logApiStats();
       return;
     }
 
@@ -107,26 +116,10 @@ async function run() {
     }
 
     // ---- Shared API calls (fetch once, pass to modules) ----
-    const prResp = await octokit.rest.pulls.get({ owner, repo, pull_number: prNumber });
-    const pr = prResp.data;
-
-    const allFiles = await listAllPRFiles(octokit, {
-      owner, repo, pull_number: prNumber, maxFiles
+    const { pr, files: allFiles, reviews, checkRuns, threads, source } = await loadPullRequestData(octokit, {
+      owner, repo, number: prNumber, maxFiles, maxChecks, useGraphql
     });
-
-    const reviewsResp = await octokit.rest.pulls.listReviews({
-      owner, repo, pull_number: prNumber, per_page: 100
-    });
-
-    let checkRuns = [];
-    try {
-      const checksResp = await octokit.rest.checks.listForRef({
-        owner, repo, ref: pr.head.sha, per_page: maxChecks
-      });
-      checkRuns = checksResp.data.check_runs || [];
-    } catch {
-      core.warning("Could not fetch check runs (needs checks:read permission); skipping checks info.");
-    }
+    core.info(`Loaded PR #${prNumber} via ${source === "graphql" ? "GraphQL" : "REST"}.`);
 
     // ---- Build sections ----
     const sections = [];
@@ -134,16 +127,26 @@ async function run() {
     if (enableSize) {
       const { counted: files, ignoredCount } = filterIgnoredFiles(allFiles, ignorePatterns);
       const thresholds = { xsLines, sLines, mLines, lLines, xsFiles, sFiles, mFiles, lFiles };
-      const sizeResult = analyzeSize({ files, thresholds });
+      const sizeResult = analyzeSize({ files, thresholds, rules: sizePathRules });
+
+      let splitPlan = null;
+      if (splitPlanner && (sizeResult.size === "L" || sizeResult.size === "XL")) {
+        splitPlan = await buildSplitPlan(octokit, {
+          owner, repo, headSha: prHeadSha, files, lookbackDays, maxFiles: splitMaxFiles
+        });
+        core.setOutput("split_plan_json", JSON.stringify(splitPlan));
+      }
 
       sections.push(formatSizeSection({
         ...sizeResult,
         ignoredCount,
-        files
+        files,
+        splitPlan
       }));
 
       core.setOutput("size", sizeResult.size);
       core.setOutput("total_lines", sizeResult.totalChanged);
+      core.setOutput("weighted_lines", sizeResult.weightedChanged);
       core.setOutput("file_count", sizeResult.fileCount);
 
       const prCreatedAt = ctx.payload.pull_request.created_at;
@@ -153,39 +156,83 @@ async function run() {
       }
 
       if (addLabel) {
-        await applySizeLabel(octokit, { owner, repo, prNumber, size: sizeResult.size });
+        await withoutBudget(() => applySizeLabel(octokit, { owner, repo, prNumber, size: sizeResult.size }));
         core.info(`Applied label: size:${sizeResult.size}`);
       }
     }
 
+    let descriptionFindings = [];
+    if (enableDescription) {
+      const description = await checkDescription(octokit, {
+        owner, repo, pr,
+        config: { templatePath, checkTemplate, requireLinkedIssue, requireTestPlan, minLength }
+      });
+      sections.push(formatDescriptionSection({ ...description, blocking: descriptionBlocking && enableState }));
+      core.setOutput("description_findings", description.findings.map((f) => f.kind).join(","));
+      if (descriptionBlocking) descriptionFindings = description.findings;
+    }
+
     if (enableState) {
       const analysis = await analyzeState(octokit, {
         owner, repo, pr,
-        reviews: reviewsResp.data,
-        checkRuns,
-        staleDays, staleOverridesRaw, showReviewLatency, language
+        files: allFiles,
+        reviews,
+        checkRuns, threads, maxChecks,
+        staleDays, staleOverrides, showReviewLatency, reviewThreads, mergeRequirements, diagnoseFailures, explainConflicts,
+        behindBase, maxBaseAgeDays, linkedIssues,
+        detectFlakyChecks, flakyCheckSamples, descriptionFindings, language
       });
 
       sections.push(formatStateSection(analysis));
     }
 
     if (enableReviewer) {
+      // Load balancing keeps its rotation in the history cache.
+      const cache = settings.historyCache
+        ? await loadHistoryCache(octokit, { owner, repo, branch: historyCacheBranch })
+        : null;
+      if (loadBalancing !== "off" && !cache) {
+        core.info("Load balancing: history_cache is off, so the rotation is not remembered between runs.");
+      }
+
       const reviewerResult = await analyzeReviewers(octokit, {
-        owner, repo, prNumber, prAuthor, prHeadSha,
-        files: allFiles, reviews: reviewsResp.data,
+        owner, repo, prNumber, prAuthor, prHeadSha, prBaseSha: pr.base?.sha,
+        files: allFiles, reviews,
         config: {
           maxReviewers, lookbackDays, maxFiles: reviewerMaxFiles,
-          useCodeowners, useLatency, latencyPRs,
+          useCodeowners, useBlame, useLatency, latencyPRs,
           penalizeLoad, excludeReviewersInput, crossRepoList, requiredReviewers,
-          preferTimezone, showBreakdown, detectFlaky
+          preferTimezone, showBreakdown, detectFlaky, historyCache: cache,
+          useStatus, availabilityFile, unavailableMode,
+          loadBalancing, reviewerPool, balanceDays, rotationCache: cache
         }
       });
 
-      sections.push(formatReviewerSection(reviewerResult));
+      if (autoRequest) {
+        reviewerResult.autoRequest = await withoutBudget(() => requestSuggestedReviewers(octokit, {
+          owner, repo, prNumber, prAuthor,
+          suggestions: reviewerResult.suggestions,
+          count: autoRequestCount,
+          requestedReviewers: pr.requested_reviewers,
+          requestedTeams: pr.requested_teams,
+          reviews,
+          dryRun
+        }));
+        const { reviewers, teamReviewers } = reviewerResult.autoRequest;
+        core.setOutput("requested_reviewers", [...reviewers, ...teamReviewers.map((t) => `${owner}/${t}`)].join(","));
+      }
 
-      if (dryRun) {
-        core.setOutput("suggestions_json", JSON.stringify(reviewerResult.suggestions));
+      if (cache && !dryRun) {
+        const requested = [
+          ...(pr.requested_reviewers || []).map((u) => u.login),
+          ...(reviewerResult.autoRequest?.requested ? reviewerResult.autoRequest.reviewers : [])
+        ];
+        recordRequestedPick(cache, reviewerResult.loadBalance, { number: prNumber, requested });
+        await withoutBudget(() => saveHistoryCache(octokit, { owner, repo, cache }));
       }
+
+      sections.push(formatReviewerSection(reviewerResult));
+      core.setOutput("suggestions_json", JSON.stringify(reviewerResult.suggestions));
     }
 
     if (sections.length === 0) {
@@ -193,7 +240,9 @@ async function run() {
       return;
     }
 
-    const body = `### PR Advisor\n${MARKER}\n\n---\n` + sections.join("\n---\n");
+    const skippedNote = formatSkippedNote();
+    const body = `### PR Advisor\n${MARKER}\n\n---\n` + sections.join("\n---\n") + (skippedNote ? `\n---\n${skippedNote}` : "");
+    logApiStats();
 
     if (dryRun) {
       core.info("Dry-run mode: comment body below (not posted):");
@@ -202,9 +251,9 @@ async function run() {
     }
 
     // Clean up old individual action comments on first run
-    await cleanupOldComments(octokit, { owner, repo, issue_number: prNumber });
+    await withoutBudget(() => cleanupOldComments(octokit, { owner, repo, issue_number: prNumber }));
 
-    const res = await upsertComment(octokit, { owner, repo, issue_number: prNumber, body, marker: MARKER });
+    const res = await withoutBudget(() => upsertComment(octokit, { owner, repo, issue_number: prNumber, body, marker: MARKER }));
     core.info(res.updated ? "Updated PR Advisor comment." : "Created PR Advisor comment.");
     core.info(`Comment: ${res.url}`);
 
@@ -0,0 +1,185 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import * as core from "@actions/core";
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+const MAX_WAIT_MS = 120000;
+const LOW_REMAINING_WARNING = 50;
+
+// Per-run state shared by every module through the octokit request hook.
+const state = {
+  used: 0,
+  budget: 0,
+  retries: 0,
+  remaining: null,
+  warnedLowRemaining: false,
+  skipped: new Set()
+};
+
+// Requests made inside withoutBudget() (posting the comment, labels, review
+// requests) are not counted, so a run that ran out of budget still publishes.
+const budgetExempt = new AsyncLocalStorage();
+
+class RequestBudgetExceededError extends Error {
+  constructor(budget) {
+    super(`API request budget of ${budget} requests exhausted`);
+    this.name = "RequestBudgetExceededError";
+  }
+}
+
+function isBudgetExhausted(err) {
+  return err instanceof RequestBudgetExceededError;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function header(err, name) {
+  return err?.response?.headers?.[name];
+}
+
+// GraphQL queries are POSTs but change nothing; mutations do.
+function isIdempotent(options) {
+  const method = String(options?.method || "GET").toUpperCase();
+  if (IDEMPOTENT_METHODS.includes(method)) return true;
+  return /\/graphql$/.test(options?.url || "") && !/^\s*mutation\b/.test(options?.query || "");
+}
+
+/**
+ * A 5xx or network error may come after a write already succeeded, so only
+ * idempotent requests retry those; writes retry only on rate-limit responses
+ * with `retry-after`, which GitHub rejects without applying.
+ */
+function retryDelayMs(err, attempt, options) {
+  const status = err?.status;
+
+  const retryAfter = parseInt(header(err, "retry-after"), 10);
+  if ((status === 403 || status === 429) && Number.isFinite(retryAfter)) {
+    return retryAfter * 1000;
+  }
+  if (!isIdempotent(options)) return null;
+
+  if ((status === 403 || status === 429) && header(err, "x-ratelimit-remaining") === "0") {
+    const reset = parseInt(header(err, "x-ratelimit-reset"), 10);
+    if (Number.isFinite(reset)) return Math.max(0, reset * 1000 - Date.now()) + 1000;
+  }
+
+  if (status === 403 && /secondary rate limit/i.test(err?.message || "")) {
+    return 60000;
+  }
+
+  if (status == null || RETRYABLE_STATUSES.includes(status)) {
+    return Math.min(MAX_WAIT_MS, 1000 * 2 ** attempt + Math.floor(Math.random() * 250));
+  }
+
+  return null;
+}
+
+function trackRateLimit(headers) {
+  const remaining = parseInt(headers?.["x-ratelimit-remaining"], 10);
+  if (!Number.isFinite(remaining)) return;
+  state.remaining = remaining;
+  if (remaining < LOW_REMAINING_WARNING && !state.warnedLowRemaining) {
+    state.warnedLowRemaining = true;
+    core.warning(`GitHub API rate limit is low: ${remaining} requests remaining.`);
+  }
+}
+
+/**
+ * Routes every request made through `octokit` (REST and GraphQL) through
+ * retry/backoff and the per-run request budget. `budget` of 0 means unlimited.
+ */
+function installApiClient(octokit, { budget = 0, maxRetries = 3, wait = sleep } = {}) {
+  state.budget = budget;
+
+  octokit.hook.wrap("request", async (request, options) => {
+    for (let attempt = 0; ; attempt++) {
+      const exempt = budgetExempt.getStore() === true;
+      if (!exempt && state.budget > 0 && state.used >= state.budget) {
+        throw new RequestBudgetExceededError(state.budget);
+      }
+      state.used++;
+
+      try {
+        const resp = await request(options);
+        trackRateLimit(resp.headers);
+        return resp;
+      } catch (err) {
+        trackRateLimit(err?.response?.headers);
+        const delay = retryDelayMs(err, attempt, options);
+        if (delay == null || attempt >= maxRetries || delay > MAX_WAIT_MS) throw err;
+
+        state.retries++;
+        core.info(`${options.method} ${options.url} failed (${err?.status ?? "network error"}); retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 2}/${maxRetries + 1}).`);
+        await wait(delay);
+      }
+    }
+  });
+
+  return octokit;
+}
+
+function withoutBudget(fn) {
+  return budgetExempt.run(true, fn);
+}
+
+function markSkipped(signal) {
+  if (!state.skipped.has(signal)) core.info(`Skipping ${signal}: API request budget exhausted.`);
+  state.skipped.add(signal);
+}
+
+/**
+ * For signal-level catch blocks: budget exhaustion marks the signal as skipped,
+ * anything else is logged as a warning. Either way the analysis continues.
+ */
+function reportSignalError(signal, err) {
+  if (isBudgetExhausted(err)) {
+    markSkipped(signal);
+    return;
+  }
+  core.warning(`${signal} failed (continuing): ${err?.message || err}`);
+}
+
+// For best-effort catch blocks inside loops: let budget exhaustion reach the
+// signal-level handler instead of being swallowed per item.
+function rethrowIfBudgetExhausted(err) {
+  if (isBudgetExhausted(err)) throw err;
+}
+
+function getApiStats() {
+  return {
+    used: state.used,
+    budget: state.budget,
+    retries: state.retries,
+    remaining: state.remaining,
+    skipped: [...state.skipped]
+  };
+}
+
+function formatSkippedNote() {
+  if (state.skipped.size === 0) return "";
+  return `_Note: the API request budget (${state.budget} requests) ran out, so these signals were skipped: ${[...state.skipped].join(", ")}._\n`;
+}
+
+function resetApiClientState() {
+  state.used = 0;
+  state.budget = 0;
+  state.retries = 0;
+  state.remaining = null;
+  state.warnedLowRemaining = false;
+  state.skipped.clear();
+}
+
+export {
+  RequestBudgetExceededError,
+  isBudgetExhausted,
+  installApiClient,
+  withoutBudget,
+  markSkipped,
+  reportSignalError,
+  rethrowIfBudgetExhausted,
+  getApiStats,
+  formatSkippedNote,
+  resetApiClientState
+};
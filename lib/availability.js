@@ -0,0 +1,178 @@
+import * as core from "@actions/core";
+import { parse as parseYaml } from "yaml";
+import { tryFetchFileText } from "./utils.js";
+import { isBudgetExhausted, markSkipped } from "./api-client.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Candidates whose GitHub status is checked, in ranking order.
+const MAX_STATUS_CHECKS = 30;
+
+// -------------------- Availability files --------------------
+
+// A date-only end ("2026-10-31") covers that whole day.
+function parseDate(value, { endOfDay = false } = {}) {
+  if (value == null || value === "") return null;
+  const s = value instanceof Date ? value.toISOString() : String(value).trim();
+  const date = new Date(s);
+  if (Number.isNaN(date.getTime())) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(date.getTime() + DAY_MS - 1) : date;
+}
+
+/**
+ * Parses a YAML availability file that maps logins to date ranges:
+ *
+ *   ann:
+ *     - from: 2026-10-20
+ *       to: 2026-10-31
+ *       reason: vacation
+ */
+function parseAvailabilityYaml(text) {
+  const doc = parseYaml(text) || {};
+  const periods = [];
+  for (const [login, ranges] of Object.entries(doc)) {
+    for (const r of Array.isArray(ranges) ? ranges : [ranges]) {
+      const from = parseDate(r?.from);
+      const to = parseDate(r?.to ?? r?.from, { endOfDay: true });
+      if (!from || !to) continue;
+      periods.push({ login: login.replace(/^@/, ""), from, to, reason: r.reason ? String(r.reason) : null });
+    }
+  }
+  return periods;
+}
+
+// DTSTART/DTEND as 20261020 (all day), 20261020T090000Z or floating local
+// time, which is read as UTC.
+function parseIcsDate(value) {
+  const m = String(value || "").match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = "00", mi = "00", s = "00"] = m;
+  return { date: new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`), allDay: m[4] == null };
+}
+
+/**
+ * Reads events from an iCalendar file. The person an event is about is the
+ * first `@login` in its SUMMARY ("@ann vacation"); other events are ignored.
+ * Recurring events count only for their first occurrence.
+ */
+function parseIcs(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const periods = [];
+  let event = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+    } else if (line === "END:VEVENT" && event) {
+      const login = event.SUMMARY?.match(/@([\w-]+)/)?.[1];
+      const start = parseIcsDate(event.DTSTART);
+      if (login && start) {
+        // All-day DTEND is exclusive; a missing DTEND means one day.
+        const end = parseIcsDate(event.DTEND);
+        const to = end ? new Date(end.date.getTime() - (end.allDay ? 1 : 0)) : new Date(start.date.getTime() + DAY_MS - 1);
+        const reason = event.SUMMARY.replace(/@[\w-]+:?/, "").trim() || null;
+        periods.push({ login, from: start.date, to, reason });
+      }
+      event = null;
+    } else if (event) {
+      const m = line.match(/^([A-Z-]+)(?:;[^:]*)?:(.*)$/);
+      if (m && !(m[1] in event)) event[m[1]] = m[2].replace(/\\([,;\\])/g, "$1").replace(/\\n/gi, " ");
+    }
+  }
+  return periods;
+}
+
+function parseAvailabilityFile(text, path) {
+  return /\.ics$/i.test(path) ? parseIcs(text) : parseAvailabilityYaml(text);
+}
+
+// -------------------- GitHub status --------------------
+
+function statusQuery(count) {
+  const vars = Array.from({ length: count }, (_, i) => `$l${i}: String!`).join(", ");
+  const fields = Array.from({ length: count }, (_, i) =>
+    `u${i}: user(login: $l${i}) { status { indicatesLimitedAvailability message expiresAt } }`
+  ).join("\n    ");
+  return `
+  query UserStatuses(${vars}) {
+    ${fields}
+  }`;
+}
+
+/**
+ * Returns the logins whose GitHub status is set to "busy" (limited
+ * availability), mapped to `{ message, expiresAt }`.
+ */
+async function fetchBusyStatuses(octokit, logins) {
+  const busy = new Map();
+  if (!logins.length) return busy;
+
+  const variables = {};
+  logins.forEach((l, i) => { variables[`l${i}`] = l; });
+
+  let data;
+  try {
+    data = await octokit.graphql(statusQuery(logins.length), variables);
+  } catch (e) {
+    // Unknown logins fail only their own field.
+    if (isBudgetExhausted(e) || !e?.data) throw e;
+    data = e.data;
+  }
+
+  logins.forEach((login, i) => {
+    const status = data?.[`u${i}`]?.status;
+    if (status?.indicatesLimitedAvailability) {
+      busy.set(login.toLowerCase(), { message: status.message || null, expiresAt: status.expiresAt || null });
+    }
+  });
+  return busy;
+}
+
+// -------------------- Availability --------------------
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Checks `logins` against the availability file (`path`, if set) and their
+ * GitHub status (if `useStatus`). Returns a Map from lowercased login to the
+ * reason that person is unavailable at `now`.
+ */
+async function fetchUnavailable(octokit, { owner, repo, ref, logins, path, useStatus, now = new Date() }) {
+  const unavailable = new Map();
+  const wanted = new Set(logins.map((l) => l.toLowerCase()));
+
+  if (path) {
+    try {
+      const text = await tryFetchFileText(octokit, { owner, repo, path, ref });
+      if (text == null) core.warning(`Availability file ${path} not found.`);
+      for (const p of text ? parseAvailabilityFile(text, path) : []) {
+        const login = p.login.toLowerCase();
+        if (!wanted.has(login) || unavailable.has(login) || now < p.from || now > p.to) continue;
+        unavailable.set(login, `${p.reason || "away"} until ${formatDay(p.to)}`);
+      }
+    } catch (e) {
+      if (isBudgetExhausted(e)) markSkipped("availability file");
+      else core.warning(`Could not read availability file ${path} (ignoring): ${e?.message || e}`);
+    }
+  }
+
+  if (useStatus) {
+    const toCheck = logins.filter((l) => !unavailable.has(l.toLowerCase())).slice(0, MAX_STATUS_CHECKS);
+    try {
+      for (const [login, status] of await fetchBusyStatuses(octokit, toCheck)) {
+        const until = status.expiresAt ? ` until ${formatDay(new Date(status.expiresAt))}` : "";
+        unavailable.set(login, `busy${status.message ? ` ("${status.message}")` : ""}${until}`);
+      }
+    } catch (e) {
+      if (isBudgetExhausted(e)) markSkipped("reviewer status");
+      else core.warning(`Could not read reviewer statuses (ignoring): ${e?.message || e}`);
+    }
+  }
+
+  return unavailable;
+}
+
+export {
+  parseAvailabilityFile,
+  fetchUnavailable
+};
@@ -0,0 +1,116 @@
+import * as core from "@actions/core";
+import { rethrowIfBudgetExhausted } from "./api-client.js";
+import { listAllPRFiles } from "./utils.js";
+
+const MAX_PR_FILES = 300;
+const MAX_CONFLICT_FILES = 10;
+const MAX_COMMITS_PER_FILE = 3;
+
+// -------------------- Comparison --------------------
+
+/**
+ * Compares the head commit with the tip of the base branch: how many base
+ * commits the branch is missing, when it was last synced (the merge base) and
+ * which of the PR's files were also changed on the base branch since then.
+ */
+async function compareWithBase(octokit, { owner, repo, pr, files }) {
+  const base = pr.base.ref;
+  const compare = await octokit.rest.repos.compareCommitsWithBasehead({
+    owner, repo, basehead: `${pr.head.sha}...${base}`
+  });
+  const mergeBase = compare.data.merge_base_commit;
+  const changedOnBase = new Set((compare.data.files || []).map((f) => f.filename));
+
+  let overlapping = [];
+  if (changedOnBase.size) {
+    const prFiles = files || await listAllPRFiles(octokit, { owner, repo, pull_number: pr.number, maxFiles: MAX_PR_FILES });
+    overlapping = prFiles.map((f) => f.filename).filter((name) => changedOnBase.has(name));
+  }
+
+  return {
+    base,
+    behindBy: compare.data.ahead_by || 0,
+    mergeBase: { sha: mergeBase?.sha || null, date: mergeBase?.commit?.committer?.date || null },
+    overlapping
+  };
+}
+
+/**
+ * `syncedDaysAgo` is the age of the merge base; `outdated` is set once that
+ * exceeds `maxBaseAgeDays` (0 disables it) while base commits are missing.
+ * `upToDateRequired` comes from the base branch's required status checks.
+ */
+function summarizeBaseDrift(comparison, { now = new Date(), maxBaseAgeDays = 0, upToDateRequired = false }) {
+  const { base, behindBy, mergeBase, overlapping } = comparison;
+  const syncedDaysAgo = mergeBase.date ? (now - new Date(mergeBase.date)) / (1000 * 60 * 60 * 24) : null;
+  return {
+    base,
+    behindBy,
+    syncedDaysAgo,
+    overlapping,
+    outdated: Boolean(maxBaseAgeDays && behindBy > 0 && syncedDaysAgo != null && syncedDaysAgo >= maxBaseAgeDays),
+    upToDateRequired
+  };
+}
+
+// -------------------- Conflicts --------------------
+
+function commitAuthor(c) {
+  return c.author?.login ? `@${c.author.login}` : (c.commit?.author?.name || "unknown");
+}
+
+/**
+ * GitHub does not say which files conflict, so the likely ones are the PR's
+ * changed files that were also changed on the base branch since the merge
+ * base. For each, the base branch commits that touched it are listed so the
+ * author knows what to rebase against.
+ */
+async function findLikelyConflicts(octokit, { owner, repo, comparison }) {
+  const { base, mergeBase, overlapping } = comparison;
+
+  const result = [];
+  for (const filename of overlapping.slice(0, MAX_CONFLICT_FILES)) {
+    let commits = [];
+    try {
+      const resp = await octokit.rest.repos.listCommits({ owner, repo, sha: base, path: filename, since: mergeBase.date, per_page: MAX_COMMITS_PER_FILE + 1 });
+      commits = resp.data
+        .filter((c) => c.sha !== mergeBase.sha)
+        .slice(0, MAX_COMMITS_PER_FILE)
+        .map((c) => ({ sha: c.sha, author: commitAuthor(c), url: c.html_url || null }));
+    } catch (e) {
+      rethrowIfBudgetExhausted(e);
+      core.warning(`Could not list ${base} commits for ${filename}: ${e?.message || e}`);
+    }
+    result.push({ filename, commits });
+  }
+
+  return {
+    base,
+    files: result,
+    more: Math.max(0, overlapping.length - MAX_CONFLICT_FILES)
+  };
+}
+
+// -------------------- Formatting --------------------
+
+function formatCommitRef(c) {
+  const short = c.sha.slice(0, 7);
+  return `${c.author} (${c.url ? `[${short}](${c.url})` : `\`${short}\``})`;
+}
+
+function formatLikelyConflicts(conflicts, tr) {
+  const lines = [`**${tr.likelyConflicts}:**`];
+  for (const f of conflicts.files) {
+    const by = f.commits.length ? ` — ${tr.changedOn} \`${conflicts.base}\` ${tr.by} ${f.commits.map(formatCommitRef).join(", ")}` : "";
+    lines.push(`- \`${f.filename}\`${by}`);
+  }
+  if (conflicts.more) lines.push(`- … ${conflicts.more} ${tr.more}`);
+  return lines.join("\n");
+}
+
+export {
+  compareWithBase,
+  summarizeBaseDrift,
+  findLikelyConflicts,
+  formatLikelyConflicts
+};
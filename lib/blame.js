@@ -0,0 +1,138 @@
+import * as core from "@actions/core";
+import { rethrowIfBudgetExhausted } from "./api-client.js";
+
+const MAX_BLAME_FILES = 20;
+// Files blamed per GraphQL query (one aliased `blame` field each).
+const BLAME_BATCH_SIZE = 10;
+
+// -------------------- Patch hunks --------------------
+
+function toRanges(lineNumbers) {
+  const ranges = [];
+  for (const n of lineNumbers) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) last[1] = n;
+    else ranges.push([n, n]);
+  }
+  return ranges;
+}
+
+/**
+ * Lines of the old file that a patch modifies or deletes, as `[start, end]`
+ * ranges. Pure additions touch no existing line.
+ */
+function touchedLineRanges(patch) {
+  const lines = [];
+  let old = 0;
+  for (const line of String(patch || "").split("\n")) {
+    const hunk = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+    if (hunk) {
+      old = Number(hunk[1]);
+    } else if (line.startsWith("-")) {
+      lines.push(old++);
+    } else if (!line.startsWith("+") && !line.startsWith("\\")) {
+      old++;
+    }
+  }
+  return toRanges(lines);
+}
+
+// -------------------- Blame --------------------
+
+function blameQuery(count) {
+  const vars = Array.from({ length: count }, (_, i) => `$p${i}: String!`).join(", ");
+  const fields = Array.from({ length: count }, (_, i) =>
+    `f${i}: blame(path: $p${i}) { ranges { startingLine endingLine commit { author { user { login } } } } }`
+  ).join("\n          ");
+  return `
+  query Blame($owner: String!, $repo: String!, $ref: String!, ${vars}) {
+    repository(owner: $owner, name: $repo) {
+      object(expression: $ref) {
+        ... on Commit {
+          ${fields}
+        }
+      }
+    }
+  }`;
+}
+
+/**
+ * Blames `paths` at `ref`. Returns a Map from path to
+ * `[{ start, end, login }]`; lines whose commit has no GitHub user are left out.
+ */
+async function fetchBlame(octokit, { owner, repo, ref, paths }) {
+  const result = new Map();
+  for (let i = 0; i < paths.length; i += BLAME_BATCH_SIZE) {
+    const batch = paths.slice(i, i + BLAME_BATCH_SIZE);
+    const variables = { owner, repo, ref };
+    batch.forEach((p, j) => { variables[`p${j}`] = p; });
+
+    let data;
+    try {
+      data = await octokit.graphql(blameQuery(batch.length), variables);
+    } catch (e) {
+      rethrowIfBudgetExhausted(e);
+      // A path missing at `ref` fails only its own field; keep the rest.
+      if (!e?.data) {
+        core.warning(`Could not blame ${batch.length} file(s) at ${String(ref).slice(0, 7)}: ${e?.message || e}`);
+        continue;
+      }
+      data = e.data;
+    }
+
+    const commit = data?.repository?.object;
+    batch.forEach((p, j) => {
+      const ranges = commit?.[`f${j}`]?.ranges;
+      if (!ranges) return;
+      result.set(p, ranges
+        .filter((r) => r.commit?.author?.user?.login)
+        .map((r) => ({ start: r.startingLine, end: r.endingLine, login: r.commit.author.user.login })));
+    });
+  }
+  return result;
+}
+
+// -------------------- Line ownership --------------------
+
+function overlap([start, end], range) {
+  return Math.max(0, Math.min(end, range.end) - Math.max(start, range.start) + 1);
+}
+
+/**
+ * Who wrote the lines a PR modifies or deletes. `files` are REST PR files
+ * (with `patch`); blame is taken at `ref`, the base commit. Returns a Map from
+ * login to `{ lines, share }`, where `share` sums, per file, the fraction of
+ * the touched lines that login wrote.
+ */
+async function fetchLineOwnership(octokit, { owner, repo, ref, files }) {
+  const touched = new Map();
+  for (const f of files) {
+    if (f.status === "added" || !f.patch) continue;
+    const ranges = touchedLineRanges(f.patch);
+    if (ranges.length) touched.set(f.previous_filename || f.filename, ranges);
+    if (touched.size >= MAX_BLAME_FILES) break;
+  }
+
+  const owners = new Map();
+  if (touched.size === 0) return owners;
+
+  const blame = await fetchBlame(octokit, { owner, repo, ref, paths: [...touched.keys()] });
+  for (const [path, ranges] of touched) {
+    const total = ranges.reduce((n, [start, end]) => n + end - start + 1, 0);
+    for (const b of blame.get(path) || []) {
+      const lines = ranges.reduce((n, r) => n + overlap(r, b), 0);
+      if (!lines) continue;
+      const entry = owners.get(b.login) || { lines: 0, share: 0 };
+      entry.lines += lines;
+      entry.share += lines / total;
+      owners.set(b.login, entry);
+    }
+  }
+  return owners;
+}
+
+export {
+  touchedLineRanges,
+  fetchBlame,
+  fetchLineOwnership
+};
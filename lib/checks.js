@@ -0,0 +1,323 @@
+import * as core from "@actions/core";
+import { isBudgetExhausted, rethrowIfBudgetExhausted } from "./api-client.js";
+
+// -------------------- Sources --------------------
+
+// A pending status or queued run this old is assumed to never finish.
+const STALE_PENDING_HOURS = 24;
+
+const STATUS_CONCLUSIONS = { success: "success", failure: "failure", error: "failure" };
+
+function statusToRun(s) {
+  return {
+    name: s.context,
+    source: "status",
+    status: s.state === "pending" ? "in_progress" : "completed",
+    conclusion: STATUS_CONCLUSIONS[s.state] || null,
+    started_at: s.created_at,
+    updated_at: s.updated_at,
+    html_url: s.target_url || null
+  };
+}
+
+function runTimestamp(r) {
+  return r.completed_at || r.updated_at || r.started_at || "";
+}
+
+// Re-runs of a check share its app and check suite; the same name from another
+// app, another suite or a commit status is a different check.
+function checkKey(r) {
+  if (r.source === "status") return `status:${r.name}`;
+  return `check:${r.app?.slug ?? r.app?.id ?? ""}:${r.check_suite?.id ?? ""}:${r.name}`;
+}
+
+/**
+ * Merges check runs and commit statuses into one list of run-shaped entries,
+ * keeping the most recent entry per check (see checkKey).
+ */
+function mergeCheckSources(checkRuns, statuses) {
+  const byKey = new Map();
+  for (const r of [...checkRuns, ...statuses.map(statusToRun)]) {
+    const key = checkKey(r);
+    const prev = byKey.get(key);
+    if (!prev || runTimestamp(r) > runTimestamp(prev)) byKey.set(key, r);
+  }
+  return [...byKey.values()];
+}
+
+async function fetchChecks(octokit, { owner, repo, ref, maxChecks, label = "" }) {
+  let checkRuns = [];
+  try {
+    const resp = await octokit.rest.checks.listForRef({ owner, repo, ref, per_page: maxChecks });
+    checkRuns = resp.data.check_runs || [];
+  } catch (e) {
+    if (isBudgetExhausted(e)) throw e;
+    core.warning(`Could not fetch check runs${label} (needs checks:read permission); skipping checks info.`);
+  }
+
+  let statuses = [];
+  try {
+    const resp = await octokit.rest.repos.getCombinedStatusForRef({ owner, repo, ref, per_page: 100 });
+    statuses = resp.data.statuses || [];
+  } catch (e) {
+    if (isBudgetExhausted(e)) throw e;
+    core.warning(`Could not fetch commit statuses${label} (needs statuses:read permission); skipping them.`);
+  }
+
+  return mergeCheckSources(checkRuns, statuses);
+}
+
+// -------------------- Summary --------------------
+
+function isStaleRun(r, now) {
+  if (r.conclusion === "stale") return true;
+  if (r.status === "completed") return false;
+  const since = r.updated_at || r.started_at;
+  return Boolean(since) && (now - new Date(since)) / 3600000 >= STALE_PENDING_HOURS;
+}
+
+// `flaky` is filled in later by analyzeState when flaky check detection runs.
+function summarizeChecks(runs, now = new Date()) {
+  const counts = { success: 0, failure: 0, neutral: 0, cancelled: 0, skipped: 0, timed_out: 0, action_required: 0, stale: 0, in_progress: 0, queued: 0, unknown: 0 };
+  for (const r of runs) {
+    const c = r.conclusion || (r.status === "completed" ? "unknown" : r.status);
+    if (counts[c] == null) counts.unknown++;
+    else counts[c]++;
+  }
+
+  // Checks sharing a name (matrix jobs, several apps) are listed once.
+  const names = (list) => [...new Set(list.map((r) => r.name))].slice(0, 5);
+
+  const failing = names(runs.filter((r) => (r.conclusion || "") === "failure"));
+
+  const stale = new Set(runs.filter((r) => isStaleRun(r, now)));
+
+  const inProgress = names(runs.filter((r) => r.status && r.status !== "completed" && !stale.has(r)));
+
+  return { counts, failing, inProgress, stale: names([...stale]), flaky: [] };
+}
+
+// -------------------- Failure diagnosis --------------------
+
+const MAX_DIAGNOSED_CHECKS = 3;
+const MAX_ANNOTATIONS = 3;
+const MAX_SUMMARY_LINES = 3;
+const MAX_LINE_LENGTH = 200;
+
+function truncate(text, n = MAX_LINE_LENGTH) {
+  const s = String(text || "").replace(/\s+/g, " ").trim();
+  return s.length > n ? `${s.slice(0, n - 1)}…` : s;
+}
+
+function summaryExcerpt(output) {
+  return String(output?.summary || output?.text || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^[#>*\-\s]+/, "").trim())
+    .filter(Boolean)
+    .slice(0, MAX_SUMMARY_LINES)
+    .map((l) => truncate(l));
+}
+
+// Workflow-level annotations ("Process completed with exit code 1") point at
+// `.github`; they carry no location, so file annotations are listed first.
+function isFileAnnotation(a) {
+  return Boolean(a.path) && a.path !== ".github";
+}
+
+async function fetchFailureAnnotations(octokit, { owner, repo, checkRunId }) {
+  const resp = await octokit.rest.checks.listAnnotations({ owner, repo, check_run_id: checkRunId, per_page: 50 });
+  return resp.data
+    .filter((a) => a.annotation_level === "failure")
+    .sort((a, b) => Number(isFileAnnotation(b)) - Number(isFileAnnotation(a)))
+    .slice(0, MAX_ANNOTATIONS);
+}
+
+/**
+ * For the first few failing checks: failure annotations (or an excerpt of the
+ * output summary when there are none) and whether the same check also fails
+ * on the base branch.
+ */
+async function diagnoseFailingChecks(octokit, { owner, repo, pr, checkRuns, maxChecks }) {
+  const failing = checkRuns.filter((r) => r.conclusion === "failure").slice(0, MAX_DIAGNOSED_CHECKS);
+  if (!failing.length) return null;
+
+  const base = pr.base?.ref || null;
+  const baseRuns = base ? await fetchChecks(octokit, { owner, repo, ref: base, maxChecks, label: ` for ${base}` }) : [];
+  const baseFailing = new Set(baseRuns.filter((r) => r.conclusion === "failure").map((r) => r.name));
+  const blobUrl = `${pr.base?.repo?.html_url || `https://github.com/${owner}/${repo}`}/blob/${pr.head.sha}`;
+
+  const checks = [];
+  for (const run of failing) {
+    let annotations = [];
+    if (run.source !== "status" && run.id) {
+      try {
+        annotations = await fetchFailureAnnotations(octokit, { owner, repo, checkRunId: run.id });
+      } catch (e) {
+        rethrowIfBudgetExhausted(e);
+        core.warning(`Could not fetch annotations for check ${run.name}: ${e?.message || e}`);
+      }
+    }
+
+    checks.push({
+      name: run.name,
+      url: run.html_url || run.details_url || null,
+      failingOnBase: baseFailing.has(run.name),
+      annotations: annotations.map((a) => {
+        const located = isFileAnnotation(a);
+        return {
+          path: located ? a.path : null,
+          line: located ? a.start_line : null,
+          url: located ? `${blobUrl}/${a.path}${a.start_line ? `#L${a.start_line}` : ""}` : null,
+          message: truncate(a.title ? `${a.title}: ${a.message}` : a.message)
+        };
+      }),
+      summary: annotations.length ? [] : summaryExcerpt(run.output)
+    });
+  }
+
+  return { base, checks, failingOnBase: checks.filter((c) => c.failingOnBase).map((c) => c.name) };
+}
+
+function formatCheckDiagnosis(diagnosis, tr) {
+  const lines = [`**${tr.ciDiagnosis}:**`];
+
+  for (const c of diagnosis.checks) {
+    const name = c.url ? `[\`${c.name}\`](${c.url})` : `\`${c.name}\``;
+    const onBase = c.failingOnBase ? ` — ${tr.alsoFailingOn} \`${diagnosis.base}\` (${tr.notThisPR})` : "";
+    lines.push(`- ${name}${onBase}`);
+
+    for (const a of c.annotations) {
+      const where = a.path ? `\`${a.path}${a.line ? `:${a.line}` : ""}\`` : null;
+      const loc = where ? `${a.url ? `[${where}](${a.url})` : where} — ` : "";
+      lines.push(`  - ${loc}${a.message}`);
+    }
+    for (const l of c.summary) lines.push(`  - ${l}`);
+  }
+
+  return lines.join("\n");
+}
+
+// -------------------- Flaky checks --------------------
+
+// Re-run passes needed before a check counts as flaky; one can be bad luck.
+const MIN_RERUN_PASSES = 2;
+// Across unrelated PR heads, a check failing on a few of them and passing on
+// the rest is intermittent; one failing on most is more likely really broken.
+const MIN_HEAD_SAMPLES = 4;
+const MIN_HEAD_FAILURES = 2;
+const MAX_HEAD_FAILURE_RATE = 0.5;
+
+// Groups completed runs on one commit by check (see checkKey), so re-runs of
+// one app's check are not mixed with another app's check of the same name.
+function runsByCheck(runs, names) {
+  const byKey = new Map();
+  for (const r of runs) {
+    if (!names.has(r.name) || r.status !== "completed") continue;
+    const key = checkKey(r);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(r);
+  }
+  for (const list of byKey.values()) list.sort((a, b) => runTimestamp(a).localeCompare(runTimestamp(b)));
+  return byKey;
+}
+
+// Check suites belong to one commit; across commits a check is its app and name.
+function crossCommitKey(r) {
+  return checkKey({ ...r, check_suite: null });
+}
+
+// A failure followed by a success on the same commit means a re-run fixed it.
+function passedOnRerun(runs) {
+  const firstFailure = runs.findIndex((r) => r.conclusion === "failure");
+  return firstFailure >= 0 && runs.slice(firstFailure + 1).some((r) => r.conclusion === "success");
+}
+
+/**
+ * Scores each check in `names` from run history. `heads` are the runs (all
+ * attempts) on recent head commits of other PRs, one entry per commit;
+ * `baseHistory` the same for base branch commits, newest first. Returns the
+ * flaky checks as a name -> evidence map.
+ */
+function scoreFlakyChecks({ names, heads, baseHistory }) {
+  const wanted = new Set(names);
+  // Evidence per check across commits; a name can belong to several apps.
+  const evidence = new Map();
+  const evidenceFor = (r) => {
+    const key = crossCommitKey(r);
+    if (!evidence.has(key)) evidence.set(key, { name: r.name, reruns: 0, isolated: 0, headRuns: 0, headFailures: 0 });
+    return evidence.get(key);
+  };
+
+  for (const runs of [...heads, ...baseHistory]) {
+    for (const list of runsByCheck(runs, wanted).values()) {
+      if (passedOnRerun(list)) evidenceFor(list[0]).reruns++;
+    }
+  }
+
+  // Outcome of the last attempt on each PR head.
+  for (const runs of heads) {
+    for (const list of runsByCheck(runs, wanted).values()) {
+      const e = evidenceFor(list[0]);
+      e.headRuns++;
+      if (list[list.length - 1].conclusion === "failure") e.headFailures++;
+    }
+  }
+
+  // On the base branch, a failure between two passing commits is most likely
+  // not a real breakage.
+  const outcomes = baseHistory.map((runs) => {
+    const out = new Map();
+    for (const list of runsByCheck(runs, wanted).values()) out.set(crossCommitKey(list[0]), list[list.length - 1]);
+    return out;
+  });
+  for (let i = 1; i < outcomes.length - 1; i++) {
+    for (const [key, last] of outcomes[i]) {
+      if (last.conclusion === "failure" && outcomes[i - 1].get(key)?.conclusion === "success" && outcomes[i + 1].get(key)?.conclusion === "success") {
+        evidenceFor(last).isolated++;
+      }
+    }
+  }
+
+  const flaky = new Map();
+  for (const { name, ...e } of evidence.values()) {
+    const intermittent = e.headRuns >= MIN_HEAD_SAMPLES && e.headFailures >= MIN_HEAD_FAILURES &&
+      e.headFailures / e.headRuns <= MAX_HEAD_FAILURE_RATE;
+    if (!flaky.has(name) && (e.reruns >= MIN_RERUN_PASSES || e.isolated >= 2 || intermittent)) flaky.set(name, e);
+  }
+  return flaky;
+}
+
+async function listAllRunsForRef(octokit, { owner, repo, ref }) {
+  const resp = await octokit.rest.checks.listForRef({ owner, repo, ref, filter: "all", per_page: 100 });
+  return resp.data.check_runs || [];
+}
+
+async function findFlakyChecks(octokit, { owner, repo, pr, names, samples }) {
+  if (!names.length) return new Map();
+
+  const pulls = await octokit.rest.pulls.list({ owner, repo, state: "all", sort: "updated", direction: "desc", per_page: samples + 1 });
+  const headShas = [...new Set(pulls.data.filter((p) => p.number !== pr.number).map((p) => p.head.sha))].slice(0, samples);
+
+  const baseCommits = pr.base?.ref
+    ? (await octokit.rest.repos.listCommits({ owner, repo, sha: pr.base.ref, per_page: samples })).data
+    : [];
+
+  const heads = [];
+  for (const sha of headShas) heads.push(await listAllRunsForRef(octokit, { owner, repo, ref: sha }));
+  const baseHistory = [];
+  for (const c of baseCommits) baseHistory.push(await listAllRunsForRef(octokit, { owner, repo, ref: c.sha }));
+
+  const flaky = scoreFlakyChecks({ names, heads, baseHistory });
+  core.info(`Flaky check detection: sampled ${heads.length} PR head(s) and ${baseHistory.length} base commit(s); flaky: ${[...flaky.keys()].join(", ") || "none"}.`);
+  return flaky;
+}
+
+export {
+  mergeCheckSources,
+  fetchChecks,
+  summarizeChecks,
+  diagnoseFailingChecks,
+  formatCheckDiagnosis,
+  scoreFlakyChecks,
+  findFlakyChecks
+};
@@ -0,0 +1,155 @@
+import * as core from "@actions/core";
+import { minimatch } from "minimatch";
+import { tryFetchFileText, listUpTo } from "./utils.js";
+import { rethrowIfBudgetExhausted } from "./api-client.js";
+
+// Where GitHub looks for CODEOWNERS, in its order; the first file found wins.
+const CODEOWNERS_CANDIDATE_PATHS = [
+  ".github/CODEOWNERS",
+  "CODEOWNERS",
+  "docs/CODEOWNERS"
+];
+
+const MAX_TEAMS = 20;
+const MAX_TEAM_MEMBERS = 100;
+
+// CODEOWNERS patterns are case sensitive and support neither negation nor
+// brace or extglob syntax.
+const MATCH_OPTIONS = { dot: true, nobrace: true, noext: true, nonegate: true, nocomment: true };
+
+// -------------------- Parsing --------------------
+
+async function fetchCodeownersText(octokit, { owner, repo, ref }) {
+  for (const p of CODEOWNERS_CANDIDATE_PATHS) {
+    const text = await tryFetchFileText(octokit, { owner, repo, path: p, ref });
+    if (text) return text;
+  }
+  return null;
+}
+
+function isTeamOwner(owner) {
+  return owner.includes("/");
+}
+
+/**
+ * Parses CODEOWNERS into `{ pattern, owners, teams, emails }` rules in file
+ * order. `owners` holds users and `org/team` handles without the `@`; `teams`
+ * is the subset that are teams. A pattern without owners is kept: it clears
+ * ownership for the files it matches. Lines GitHub would reject (negation,
+ * character ranges, owners that are neither handles nor emails) are skipped.
+ */
+function parseCodeowners(text) {
+  const rules = [];
+  if (!text) return rules;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.split(/\s+#/)[0].trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const [pattern, ...tokens] = line.split(/\s+/);
+    if (pattern.startsWith("!") || pattern.includes("[")) continue;
+
+    const owners = tokens.filter((t) => /^@[\w.-]+(?:\/[\w.-]+)?$/.test(t)).map((t) => t.slice(1));
+    const emails = tokens.filter((t) => !t.startsWith("@") && t.includes("@"));
+    if (owners.length + emails.length !== tokens.length) continue;
+
+    rules.push({ pattern, owners, teams: owners.filter(isTeamOwner), emails });
+  }
+
+  return rules;
+}
+
+// -------------------- Matching --------------------
+
+const matchers = new Map();
+
+/**
+ * GitHub's CODEOWNERS rules follow .gitignore: a pattern with a slash at the
+ * start or in the middle is relative to the repository root, otherwise it
+ * matches at any depth. A trailing slash matches directories only. A pattern
+ * that matches a directory owns everything below it, except `dir/*` and
+ * `/*`, which only cover files directly inside `dir` or the root.
+ */
+function compilePattern(pattern) {
+  const directoryOnly = pattern.endsWith("/");
+  let glob = directoryOnly ? pattern.slice(0, -1) : pattern;
+  const anchored = glob.includes("/");
+  glob = glob.replace(/^\//, "");
+  if (!anchored) glob = `**/${glob}`;
+  const coversContents = directoryOnly || !(glob.endsWith("/*") || glob === "*");
+
+  return (filePath) => {
+    if (!directoryOnly && minimatch(filePath, glob, MATCH_OPTIONS)) return true;
+    if (!coversContents) return false;
+    const parts = filePath.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      if (minimatch(parts.slice(0, i).join("/"), glob, MATCH_OPTIONS)) return true;
+    }
+    return false;
+  };
+}
+
+function matchesPattern(pattern, filePath) {
+  if (!matchers.has(pattern)) matchers.set(pattern, compilePattern(pattern));
+  return matchers.get(pattern)(filePath);
+}
+
+// The last matching rule wins, including rules without owners.
+function ruleForFile(codeownersRules, filePath) {
+  for (let i = codeownersRules.length - 1; i >= 0; i--) {
+    if (matchesPattern(codeownersRules[i].pattern, filePath)) return codeownersRules[i];
+  }
+  return null;
+}
+
+function ownersForFile(codeownersRules, filePath) {
+  return ruleForFile(codeownersRules, filePath)?.owners || [];
+}
+
+function unownedFiles(codeownersRules, filePaths) {
+  return filePaths.filter((f) => {
+    const rule = ruleForFile(codeownersRules, f);
+    return !rule || rule.owners.length + rule.emails.length === 0;
+  });
+}
+
+// -------------------- Teams --------------------
+
+/**
+ * Lists the members of the teams that own `filePaths`. Returns a Map from
+ * `org/team` to member logins; teams that could not be read (listing members
+ * needs a token with `read:org`) are left out, so callers fall back to the
+ * team handle.
+ */
+async function fetchTeamMembers(octokit, { codeownersRules, filePaths }) {
+  const teams = new Set();
+  for (const f of filePaths) {
+    for (const t of ruleForFile(codeownersRules, f)?.teams || []) teams.add(t);
+  }
+  return fetchMembersOfTeams(octokit, [...teams]);
+}
+
+async function fetchMembersOfTeams(octokit, teams) {
+  const members = new Map();
+  for (const team of teams.slice(0, MAX_TEAMS)) {
+    const [org, slug] = team.split("/");
+    try {
+      const list = await listUpTo(octokit.rest.teams.listMembersInOrg, { org, team_slug: slug }, MAX_TEAM_MEMBERS);
+      members.set(team, list.map((u) => u.login));
+    } catch (e) {
+      rethrowIfBudgetExhausted(e);
+      core.warning(`Could not list members of @${team}: ${e?.message || e}`);
+    }
+  }
+  return members;
+}
+
+export {
+  fetchCodeownersText,
+  parseCodeowners,
+  isTeamOwner,
+  ownersForFile,
+  unownedFiles,
+  fetchTeamMembers,
+  fetchMembersOfTeams
+};
@@ -0,0 +1,341 @@
+import * as core from "@actions/core";
+import { parse as parseYaml } from "yaml";
+import { toBool, clampInt, tryFetchFileText } from "./utils.js";
+import { DEFAULT_IGNORE, validateSizeRules } from "./size-analyzer.js";
+import { validateEscalation } from "./escalation.js";
+
+const DEFAULT_CONFIG_PATH = ".github/pr-advisor.yml";
+
+// -------------------- Schema --------------------
+
+function isPositiveNumber(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
+
+// Each label maps to stale days, or to days per escalation stage by name.
+function validateStaleOverrides(overrides, resolved) {
+  const stages = ["stale", ...(resolved.escalation || []).map((s) => s.name || s.action)];
+  for (const [label, value] of Object.entries(overrides)) {
+    if (isPositiveNumber(value)) continue;
+    if (!isPlainObject(value) || !Object.values(value).every(isPositiveNumber)) {
+      return `entry "${label}" must be a positive number of days or a mapping of stage names to days.`;
+    }
+    const unknown = Object.keys(value).find((name) => !stages.includes(name));
+    if (unknown) return `entry "${label}" has unknown stage "${unknown}"${didYouMean(unknown, stages)}.`;
+  }
+  return null;
+}
+
+// Each setting lives under a section of the config file (`name`) and maps to an
+// action input (`input`, defaults to `name`). `key` is the property exposed to
+// the rest of the action. For ints, `min` may name an earlier setting's key so
+// thresholds stay ordered. `json` settings, and optionally `map` settings,
+// carry a `validate` function that gets the value and the settings resolved
+// so far, and returns an error message or null.
+const SCHEMA = {
+  size: [
+    { name: "enabled", input: "enable_size", key: "enableSize", type: "bool", default: true },
+    { name: "max_files", key: "maxFiles", type: "int", default: 500, min: 1, max: 5000 },
+    { name: "add_label", key: "addLabel", type: "bool", default: false },
+    { name: "ignore_patterns", key: "ignorePatterns", type: "list", default: DEFAULT_IGNORE, lowercase: false },
+    { name: "xs_lines", key: "xsLines", type: "int", default: 50, min: 1, max: 1000000 },
+    { name: "s_lines", key: "sLines", type: "int", default: 200, min: "xsLines", max: 1000000 },
+    { name: "m_lines", key: "mLines", type: "int", default: 500, min: "sLines", max: 1000000 },
+    { name: "l_lines", key: "lLines", type: "int", default: 1000, min: "mLines", max: 1000000 },
+    { name: "xs_files", key: "xsFiles", type: "int", default: 2, min: 1, max: 1000000 },
+    { name: "s_files", key: "sFiles", type: "int", default: 5, min: "xsFiles", max: 1000000 },
+    { name: "m_files", key: "mFiles", type: "int", default: 15, min: "sFiles", max: 1000000 },
+    { name: "l_files", key: "lFiles", type: "int", default: 30, min: "mFiles", max: 1000000 },
+    { name: "path_rules", key: "sizePathRules", type: "json", default: [], validate: validateSizeRules },
+    { name: "split_planner", key: "splitPlanner", type: "bool", default: true },
+    { name: "split_max_files", key: "splitMaxFiles", type: "int", default: 50, min: 1, max: 200 }
+  ],
+  state: [
+    { name: "enabled", input: "enable_state", key: "enableState", type: "bool", default: true },
+    { name: "stale_days", key: "staleDays", type: "int", default: 3, min: 1, max: 365 },
+    { name: "comment_only_when_stale", key: "commentOnlyWhenStale", type: "bool", default: false },
+    { name: "max_checks", key: "maxChecks", type: "int", default: 50, min: 10, max: 200 },
+    { name: "review_latency", key: "showReviewLatency", type: "bool", default: false },
+    { name: "review_threads", key: "reviewThreads", type: "bool", default: true },
+    { name: "branch_protection", key: "mergeRequirements", type: "bool", default: true },
+    { name: "diagnose_failures", key: "diagnoseFailures", type: "bool", default: true },
+    { name: "explain_conflicts", key: "explainConflicts", type: "bool", default: true },
+    { name: "behind_base", key: "behindBase", type: "bool", default: true },
+    { name: "max_base_age_days", key: "maxBaseAgeDays", type: "int", default: 14, min: 0, max: 365 },
+    { name: "linked_issues", key: "linkedIssues", type: "bool", default: true },
+    { name: "detect_flaky_checks", key: "detectFlakyChecks", type: "bool", default: false },
+    { name: "flaky_check_samples", key: "flakyCheckSamples", type: "int", default: 10, min: 3, max: 50 },
+    { name: "language", key: "language", type: "enum", values: ["en", "de", "es"], default: "en" },
+    { name: "sweep_stale", key: "sweepStale", type: "bool", default: false },
+    { name: "max_prs", key: "maxPRs", type: "int", default: 50, min: 1, max: 1000 },
+    { name: "sweep_concurrency", key: "sweepConcurrency", type: "int", default: 4, min: 1, max: 10 },
+    { name: "sweep_digest", key: "sweepDigest", type: "bool", default: false },
+    { name: "digest_issue", key: "digestIssue", type: "int", default: 0, min: 0, max: 100000000 },
+    { name: "escalation", key: "escalation", type: "json", default: [], validate: validateEscalation },
+    // After escalation: its mappings may name escalation stages.
+    { name: "stale_overrides", key: "staleOverrides", type: "map", default: {}, validate: validateStaleOverrides }
+  ],
+  description: [
+    { name: "enabled", input: "enable_description", key: "enableDescription", type: "bool", default: false },
+    { name: "pr_template", key: "templatePath", type: "string", default: "" },
+    { name: "check_template", key: "checkTemplate", type: "bool", default: true },
+    { name: "require_linked_issue", key: "requireLinkedIssue", type: "bool", default: true },
+    { name: "require_test_plan", key: "requireTestPlan", type: "bool", default: true },
+    { name: "min_description_length", key: "minLength", type: "int", default: 30, min: 0, max: 10000 },
+    { name: "description_blocking", key: "descriptionBlocking", type: "bool", default: false }
+  ],
+  reviewer: [
+    { name: "enabled", input: "enable_reviewer", key: "enableReviewer", type: "bool", default: true },
+    { name: "max_reviewers", key: "maxReviewers", type: "int", default: 3, min: 1, max: 20 },
+    { name: "lookback_days", key: "lookbackDays", type: "int", default: 90, min: 1, max: 365 },
+    { name: "max_files", input: "reviewer_max_files", key: "reviewerMaxFiles", type: "int", default: 50, min: 1, max: 200 },
+    { name: "use_codeowners", key: "useCodeowners", type: "bool", default: true },
+    { name: "use_blame", key: "useBlame", type: "bool", default: true },
+    { name: "use_latency", key: "useLatency", type: "bool", default: true },
+    { name: "latency_prs", key: "latencyPRs", type: "int", default: 20, min: 5, max: 50 },
+    { name: "penalize_load", key: "penalizeLoad", type: "bool", default: true },
+    { name: "exclude_reviewers", key: "excludeReviewersInput", type: "list", default: "" },
+    { name: "cross_repo_list", key: "crossRepoList", type: "list", default: "" },
+    { name: "required_reviewers", key: "requiredReviewers", type: "list", default: "" },
+    { name: "prefer_timezone", key: "preferTimezone", type: "string", default: "" },
+    { name: "show_breakdown", key: "showBreakdown", type: "bool", default: false },
+    { name: "detect_flaky", key: "detectFlaky", type: "bool", default: false },
+    { name: "use_status", key: "useStatus", type: "bool", default: true },
+    { name: "availability_file", key: "availabilityFile", type: "string", default: "" },
+    { name: "unavailable_reviewers", key: "unavailableMode", type: "enum", values: ["exclude", "penalize"], default: "exclude" },
+    { name: "load_balancing", key: "loadBalancing", type: "enum", values: ["off", "round_robin", "weighted"], default: "off" },
+    { name: "reviewer_pool", key: "reviewerPool", type: "list", default: "" },
+    { name: "balance_days", key: "balanceDays", type: "int", default: 30, min: 1, max: 365 },
+    { name: "auto_request", key: "autoRequest", type: "bool", default: false },
+    { name: "auto_request_count", key: "autoRequestCount", type: "int", default: 1, min: 1, max: 15 },
+    { name: "history_cache", key: "historyCache", type: "bool", default: false },
+    { name: "history_cache_branch", key: "historyCacheBranch", type: "string", default: "pr-advisor-cache" }
+  ]
+};
+
+// -------------------- Helpers --------------------
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function didYouMean(name, candidates) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const c of candidates) {
+    const d = editDistance(name, c);
+    if (d < bestDist) { best = c; bestDist = d; }
+  }
+  return best && bestDist <= 3 ? ` (did you mean "${best}"?)` : "";
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function splitList(s, lowercase) {
+  return String(s || "")
+    .split(",")
+    .map((x) => (lowercase ? x.trim().toLowerCase() : x.trim()))
+    .filter(Boolean);
+}
+
+function resolveMin(setting, resolved) {
+  return typeof setting.min === "string" ? resolved[setting.min] : setting.min;
+}
+
+// -------------------- Value coercion --------------------
+
+function parseJsonInput(raw) {
+  try {
+    return { value: JSON.parse(raw) };
+  } catch {
+    return { error: "is not valid JSON" };
+  }
+}
+
+// Action inputs are strings and keep their historical lenient behavior
+// (clamping, fallback to defaults): an invalid value logs a warning and the
+// default applies instead of failing the run.
+function coerceInput(setting, raw, resolved) {
+  const invalid = (problem) => {
+    core.warning(`Input "${setting.input || setting.name}" ${problem}; using the default.`);
+    return defaultValue(setting);
+  };
+
+  switch (setting.type) {
+    case "bool":
+      return toBool(raw, setting.default);
+    case "int":
+      return clampInt(raw, setting.default, resolveMin(setting, resolved), setting.max);
+    case "list":
+      return splitList(raw, setting.lowercase !== false);
+    case "enum": {
+      const v = raw.trim().toLowerCase();
+      if (!setting.values.includes(v)) return invalid(`must be one of: ${setting.values.join(", ")} (got "${raw}")`);
+      return v;
+    }
+    case "map": {
+      const { value, error } = parseJsonInput(raw);
+      if (error) return invalid(error);
+      if (!isPlainObject(value)) return invalid("must be a JSON object");
+      const problem = setting.validate?.(value, resolved);
+      if (problem) return invalid(problem.replace(/\.$/, ""));
+      return value;
+    }
+    case "json": {
+      const { value, error } = parseJsonInput(raw);
+      if (error) return invalid(error);
+      const problem = setting.validate(value, resolved);
+      if (problem) return invalid(problem.replace(/\.$/, ""));
+      return value;
+    }
+    default:
+      return raw.trim();
+  }
+}
+
+// Config file values are validated strictly; returns an error string or the value.
+function coerceFileValue(setting, value, resolved, where) {
+  switch (setting.type) {
+    case "bool":
+      if (typeof value !== "boolean") return { error: `${where} must be true or false.` };
+      return { value };
+    case "int": {
+      const min = resolveMin(setting, resolved);
+      if (!Number.isInteger(value)) return { error: `${where} must be an integer.` };
+      if (value < min || value > setting.max) return { error: `${where} must be between ${min} and ${setting.max} (got ${value}).` };
+      return { value };
+    }
+    case "list": {
+      const items = Array.isArray(value) ? value : (typeof value === "string" ? value.split(",") : null);
+      if (!items || items.some((x) => typeof x !== "string")) return { error: `${where} must be a list of strings or a comma-separated string.` };
+      return { value: splitList(items.join(","), setting.lowercase !== false) };
+    }
+    case "enum": {
+      const v = typeof value === "string" ? value.trim().toLowerCase() : value;
+      if (!setting.values.includes(v)) return { error: `${where} must be one of: ${setting.values.join(", ")}.` };
+      return { value: v };
+    }
+    case "map": {
+      if (!isPlainObject(value)) return { error: `${where} must be a mapping.` };
+      const error = setting.validate?.(value, resolved);
+      if (error) return { error: `${where} ${error}` };
+      return { value };
+    }
+    case "json": {
+      const error = setting.validate(value, resolved);
+      if (error) return { error: `${where} ${error}` };
+      return { value };
+    }
+    default:
+      if (typeof value !== "string") return { error: `${where} must be a string.` };
+      return { value: value.trim() };
+  }
+}
+
+function defaultValue(setting) {
+  if (setting.type === "list") return splitList(setting.default, setting.lowercase !== false);
+  if (setting.type === "map") return { ...setting.default };
+  if (setting.type === "json") return structuredClone(setting.default);
+  return setting.default;
+}
+
+// -------------------- File validation --------------------
+
+function validateConfigFile(doc, path) {
+  const errors = [];
+  if (doc == null) return errors;
+  if (!isPlainObject(doc)) return [`${path}: top level must be a mapping with sections ${Object.keys(SCHEMA).join(", ")}.`];
+
+  for (const [section, values] of Object.entries(doc)) {
+    if (!SCHEMA[section]) {
+      errors.push(`${path}: unknown section "${section}"${didYouMean(section, Object.keys(SCHEMA))}.`);
+      continue;
+    }
+    if (values == null) continue;
+    if (!isPlainObject(values)) {
+      errors.push(`${path}: section "${section}" must be a mapping.`);
+      continue;
+    }
+    const names = SCHEMA[section].map((s) => s.name);
+    for (const name of Object.keys(values)) {
+      if (!names.includes(name)) errors.push(`${path}: unknown key "${section}.${name}"${didYouMean(name, names)}.`);
+    }
+  }
+
+  return errors;
+}
+
+// -------------------- Resolution --------------------
+
+/**
+ * Resolves every setting with precedence: action input > config file > default.
+ * `doc` is the parsed config file (or null). Throws one error listing every
+ * problem found in the file.
+ */
+function resolveSettings(doc, { path = DEFAULT_CONFIG_PATH, getInput = core.getInput } = {}) {
+  const errors = validateConfigFile(doc, path);
+  const settings = {};
+
+  for (const [section, entries] of Object.entries(SCHEMA)) {
+    const fileSection = isPlainObject(doc?.[section]) ? doc[section] : {};
+
+    for (const setting of entries) {
+      const inputName = setting.input || setting.name;
+      const raw = getInput(inputName);
+
+      if (raw != null && String(raw).trim() !== "") {
+        settings[setting.key] = coerceInput(setting, String(raw), settings);
+      } else if (fileSection[setting.name] !== undefined && fileSection[setting.name] !== null) {
+        const res = coerceFileValue(setting, fileSection[setting.name], settings, `${path}: "${section}.${setting.name}"`);
+        if (res.error) {
+          errors.push(res.error);
+          settings[setting.key] = defaultValue(setting);
+        } else {
+          settings[setting.key] = res.value;
+        }
+      } else {
+        const def = defaultValue(setting);
+        settings[setting.key] = setting.type === "int" ? Math.max(resolveMin(setting, settings), def) : def;
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid PR Advisor configuration:\n- ${errors.join("\n- ")}`);
+  }
+
+  return settings;
+}
+
+async function loadSettings(octokit, { owner, repo, ref, path = DEFAULT_CONFIG_PATH }) {
+  const text = await tryFetchFileText(octokit, { owner, repo, path, ref });
+  let doc = null;
+
+  if (text) {
+    try {
+      doc = parseYaml(text);
+    } catch (e) {
+      throw new Error(`Could not parse ${path}: ${e?.message || e}`);
+    }
+    core.info(`Loaded configuration from ${path}${ref ? ` at ${ref}` : ""}.`);
+  }
+
+  return resolveSettings(doc, { path });
+}
+
+export {
+  DEFAULT_CONFIG_PATH,
+  SCHEMA,
+  resolveSettings,
+  loadSettings
+};
@@ -0,0 +1,155 @@
+import { tryFetchFileText } from "./utils.js";
+import { reportSignalError } from "./api-client.js";
+import { parseClosingReferences } from "./linked-issues.js";
+
+// Where GitHub looks for a single pull request template, in its order.
+const TEMPLATE_PATHS = [
+  ".github/pull_request_template.md",
+  ".github/PULL_REQUEST_TEMPLATE.md",
+  "pull_request_template.md",
+  "PULL_REQUEST_TEMPLATE.md",
+  "docs/pull_request_template.md",
+  "docs/PULL_REQUEST_TEMPLATE.md"
+];
+
+const TEST_PLAN_HEADING = /\btest(?:s|ing)?\b|\bhow (?:has|was|is) this been tested\b|\bverif/i;
+const TEST_PLAN_LINE = /^\s*(?:\*\*)?test(?:ing)?(?: plan)?(?:\*\*)?\s*:\s*\S/im;
+
+// -------------------- Parsing --------------------
+
+function stripComments(text) {
+  return String(text || "").replace(/<!--[\s\S]*?-->/g, "");
+}
+
+function normalize(text) {
+  return stripComments(text).replace(/\s+/g, " ").trim();
+}
+
+// The body without comments and without lines copied from the template.
+function authoredText(body, template) {
+  const templateLines = new Set(stripComments(template).split(/\r?\n/).map((l) => l.trim()).filter(Boolean));
+  const lines = stripComments(body).split(/\r?\n/).filter((l) => !templateLines.has(l.trim()));
+  return normalize(lines.join("\n"));
+}
+
+function headingKey(heading) {
+  return heading.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Splits markdown into `{ heading, content }` sections at every ATX heading.
+ * Text before the first heading is ignored.
+ */
+function splitSections(markdown) {
+  const sections = [];
+  let current = null;
+  for (const line of stripComments(markdown).split(/\r?\n/)) {
+    const m = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (m) {
+      current = { heading: m[1].trim(), content: [] };
+      sections.push(current);
+    } else if (current) {
+      current.content.push(line);
+    }
+  }
+  return sections.map((s) => ({ heading: s.heading, content: s.content.join("\n") }));
+}
+
+// -------------------- Checks --------------------
+
+function checkTemplate(body, template) {
+  const findings = [];
+  const bodySections = new Map(splitSections(body).map((s) => [headingKey(s.heading), s]));
+
+  for (const t of splitSections(template)) {
+    const filled = bodySections.get(headingKey(t.heading));
+    if (!filled) {
+      findings.push({ kind: "template_missing", text: `Template section "${t.heading}" was removed.` });
+    } else if (!normalize(filled.content)) {
+      findings.push({ kind: "template_empty", text: `Template section "${t.heading}" is empty.` });
+    } else if (normalize(t.content) && normalize(filled.content) === normalize(t.content)) {
+      findings.push({ kind: "template_unchanged", text: `Template section "${t.heading}" still has the template text.` });
+    }
+  }
+  return findings;
+}
+
+function hasTestPlan(body) {
+  if (TEST_PLAN_LINE.test(stripComments(body))) return true;
+  return splitSections(body).some((s) => TEST_PLAN_HEADING.test(s.heading) && normalize(s.content));
+}
+
+/**
+ * Checks a PR description against the repository's pull request template and
+ * the configured expectations. Returns `{ length, findings: [{ kind, text }] }`.
+ */
+function evaluateDescription({ body, template, config }) {
+  const findings = [];
+
+  if (config.checkTemplate && template) findings.push(...checkTemplate(body || "", template));
+
+  if (config.requireLinkedIssue && parseClosingReferences(body).length === 0) {
+    findings.push({ kind: "linked_issue", text: "No linked issue (e.g. \"Fixes #123\")." });
+  }
+
+  if (config.requireTestPlan && !hasTestPlan(body || "")) {
+    findings.push({ kind: "test_plan", text: "No test plan describing how the change was tested." });
+  }
+
+  const own = authoredText(body, template);
+  if (config.minLength && own.length < config.minLength) {
+    findings.push({ kind: "short", text: `Description is ${own.length ? `only ${own.length} characters` : "empty"} (at least ${config.minLength} expected).` });
+  }
+
+  return { length: own.length, findings };
+}
+
+async function fetchPullRequestTemplate(octokit, { owner, repo, ref, path }) {
+  for (const candidate of path ? [path] : TEMPLATE_PATHS) {
+    const text = await tryFetchFileText(octokit, { owner, repo, path: candidate, ref });
+    if (text != null) return { path: candidate, text };
+  }
+  return null;
+}
+
+/**
+ * Reads the pull request template from the base branch (`config.templatePath`,
+ * or GitHub's default locations) and evaluates the PR body against it.
+ */
+async function checkDescription(octokit, { owner, repo, pr, config }) {
+  let template = null;
+  if (config.checkTemplate) {
+    try {
+      template = await fetchPullRequestTemplate(octokit, { owner, repo, ref: pr.base?.sha || pr.base?.ref, path: config.templatePath });
+    } catch (e) {
+      // Without the template only the template checks are skipped.
+      reportSignalError("pull request template", e);
+    }
+  }
+  const result = evaluateDescription({ body: pr.body, template: template?.text, config });
+  return { ...result, templatePath: template?.path || null };
+}
+
+// -------------------- Formatting --------------------
+
+function formatDescriptionSection({ findings, templatePath, blocking }) {
+  let section = "#### Description\n\n";
+  if (findings.length === 0) {
+    section += "The description covers everything checked.\n";
+  } else {
+    for (const f of findings) section += `- ${f.text}\n`;
+  }
+
+  const notes = [];
+  if (templatePath) notes.push(`checked against \`${templatePath}\``);
+  if (blocking && findings.length) notes.push("listed as blockers in the PR state");
+  if (notes.length) section += `\n_Notes: ${notes.join("; ")}._\n`;
+  return section;
+}
+
+export {
+  splitSections,
+  evaluateDescription,
+  checkDescription,
+  formatDescriptionSection
+};
@@ -0,0 +1,211 @@
+import * as core from "@actions/core";
+import { withoutBudget } from "./api-client.js";
+import { clampInt, listUpTo } from "./utils.js";
+
+const ESCALATION_ACTIONS = ["ping", "label", "draft", "close"];
+const DEFAULT_LABEL = "stale";
+const ESCALATION_MARKER = "pr-advisor-escalation:v0";
+
+// Reviews and comments read per PR to find the last human activity.
+const MAX_ACTIVITY_ITEMS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Comments carrying any PR Advisor marker are the action's own and do not
+// count as activity.
+const OWN_COMMENT = /<!-- pr-advisor/;
+
+// -------------------- Policy --------------------
+
+function validateEscalation(stages) {
+  if (!Array.isArray(stages)) return "must be a list of escalation stages.";
+
+  const names = new Set();
+  for (const [i, stage] of stages.entries()) {
+    const where = `escalation stage #${i + 1}`;
+    if (stage == null || typeof stage !== "object" || Array.isArray(stage)) return `${where} must be a mapping.`;
+    for (const key of Object.keys(stage)) {
+      if (!["days", "action", "name", "label", "message"].includes(key)) return `${where} has unknown key "${key}" (expected days, action, name, label, message).`;
+    }
+    if (!Number.isInteger(stage.days) || stage.days < 1) return `${where} "days" must be a positive integer.`;
+    if (!ESCALATION_ACTIONS.includes(stage.action)) return `${where} "action" must be one of: ${ESCALATION_ACTIONS.join(", ")}.`;
+    for (const key of ["name", "label", "message"]) {
+      if (stage[key] !== undefined && (typeof stage[key] !== "string" || !stage[key].trim())) return `${where} "${key}" must be a non-empty string.`;
+    }
+    const name = stage.name || stage.action;
+    if (names.has(name)) return `${where} reuses the name "${name}"; give repeated actions a distinct "name".`;
+    names.add(name);
+  }
+
+  return null;
+}
+
+function overrideForPR(pr, staleOverrides) {
+  for (const l of pr.labels || []) {
+    if (staleOverrides?.[l.name] !== undefined) return staleOverrides[l.name];
+  }
+  return undefined;
+}
+
+/**
+ * Days of inactivity after which `stage` applies to `pr`. A numeric
+ * `stale_overrides` entry moves the whole ladder by the same number of days as
+ * it moves `stale_days`; a mapping can set `stale` and any stage by name.
+ */
+function stageDays(stage, pr, { staleDays, staleOverrides }) {
+  const override = overrideForPR(pr, staleOverrides);
+  const shifted = (labelStaleDays) => Math.max(1, stage.days + clampInt(labelStaleDays, staleDays, 1, 365) - staleDays);
+
+  if (override == null) return stage.days;
+  if (typeof override !== "object") return shifted(override);
+
+  const name = stage.name || stage.action;
+  if (override[name] !== undefined) return clampInt(override[name], stage.days, 1, 3650);
+  return override.stale !== undefined ? shifted(override.stale) : stage.days;
+}
+
+function parseEscalationComment(body) {
+  const m = String(body || "").match(new RegExp(`<!-- ${ESCALATION_MARKER} stage=(.+?) -->`));
+  return m ? m[1] : null;
+}
+
+/**
+ * Decides what to do for one PR: which stale labels to drop because the PR is
+ * no longer idle long enough, and the next stage to apply (one per sweep, so
+ * every step gets at least one run of notice).
+ */
+function planEscalation({ pr, stages, idleDays, doneStages, staleDays, staleOverrides }) {
+  const ladder = stages
+    .map((s) => ({ ...s, name: s.name || s.action, label: s.label || DEFAULT_LABEL, days: stageDays(s, pr, { staleDays, staleOverrides }) }))
+    .sort((a, b) => a.days - b.days);
+
+  const labels = new Set((pr.labels || []).map((l) => l.name));
+  const removeLabels = [...new Set(ladder
+    .filter((s) => s.action === "label" && idleDays < s.days && labels.has(s.label))
+    .map((s) => s.label))];
+
+  const isDone = (s) => {
+    if (s.action === "label") return labels.has(s.label);
+    if (s.action === "draft") return Boolean(pr.draft) || doneStages.has(s.name);
+    return doneStages.has(s.name);
+  };
+  const next = ladder.find((s) => idleDays >= s.days && !isDone(s)) || null;
+
+  return { removeLabels, next };
+}
+
+// -------------------- Activity --------------------
+
+/**
+ * Whether the sweep must read `pr`'s activity. `updated_at` is never older
+ * than the last human activity, so a PR updated more recently than its
+ * earliest stage cannot be due for one; without an escalation label there is
+ * nothing to remove either.
+ */
+function needsActivity(pr, { stages, staleDays, staleOverrides, now = new Date() }) {
+  const labels = new Set((pr.labels || []).map((l) => l.name));
+  if (stages.some((s) => s.action === "label" && labels.has(s.label || DEFAULT_LABEL))) return true;
+  const earliest = Math.min(...stages.map((s) => stageDays(s, pr, { staleDays, staleOverrides })));
+  return (now - new Date(pr.updated_at)) / DAY_MS >= earliest;
+}
+
+/**
+ * Last activity by people: head commit, reviews and comments, ignoring the
+ * action's own comments and labels (which also bump `updated_at`). Returns the
+ * timestamp and the stages already applied since then.
+ */
+async function fetchActivity(octokit, { owner, repo, pr }) {
+  const times = [pr.created_at];
+
+  const commitResp = await octokit.rest.git.getCommit({ owner, repo, commit_sha: pr.head.sha });
+  times.push(commitResp.data.committer?.date);
+
+  // Comments come oldest first, so the recent ones are on the last pages.
+  const reviews = await listUpTo(octokit.rest.pulls.listReviews, { owner, repo, pull_number: pr.number }, MAX_ACTIVITY_ITEMS);
+  for (const r of reviews) {
+    if (r.user?.type !== "Bot") times.push(r.submitted_at);
+  }
+
+  const comments = await listUpTo(octokit.rest.issues.listComments, { owner, repo, issue_number: pr.number }, MAX_ACTIVITY_ITEMS);
+  const own = [];
+  for (const c of comments) {
+    if (OWN_COMMENT.test(c.body || "")) own.push(c);
+    else if (c.user?.type !== "Bot") times.push(c.created_at);
+  }
+
+  const lastActivity = times.filter(Boolean).sort().pop();
+  const doneStages = new Set(own
+    .filter((c) => c.created_at > lastActivity)
+    .map((c) => parseEscalationComment(c.body))
+    .filter(Boolean));
+
+  return { lastActivity, doneStages };
+}
+
+// -------------------- Actions --------------------
+
+function escalationBody(stage, { pr, idleDays, nextActors }) {
+  const days = Math.floor(idleDays);
+  let text;
+  if (stage.message) {
+    text = stage.message;
+  } else if (stage.action === "ping") {
+    const who = nextActors.length ? nextActors : [`@${pr.user?.login}`];
+    text = `${who.join(" ")} — this PR has had no activity for **${days} days**. Could you take a look at what is blocking it?`;
+  } else if (stage.action === "label") {
+    text = `Labeled \`${stage.label}\` after ${days} days without activity. The label is removed automatically when activity resumes.`;
+  } else if (stage.action === "draft") {
+    text = `Converted to draft after ${days} days without activity. Mark it ready for review when work resumes.`;
+  } else {
+    text = `Closing after ${days} days without activity. Reopen it when work resumes.`;
+  }
+  return `${text}\n\n<!-- ${ESCALATION_MARKER} stage=${stage.name} -->`;
+}
+
+async function applyStage(octokit, { owner, repo, pr, stage, body }) {
+  await octokit.rest.issues.createComment({ owner, repo, issue_number: pr.number, body });
+  if (stage.action === "label") {
+    await octokit.rest.issues.addLabels({ owner, repo, issue_number: pr.number, labels: [stage.label] });
+  } else if (stage.action === "draft") {
+    await octokit.graphql(
+      "mutation ConvertToDraft($id: ID!) { convertPullRequestToDraft(input: { pullRequestId: $id }) { pullRequest { isDraft } } }",
+      { id: pr.node_id }
+    );
+  } else if (stage.action === "close") {
+    await octokit.rest.pulls.update({ owner, repo, pull_number: pr.number, state: "closed" });
+  }
+}
+
+/**
+ * Runs the escalation ladder for one PR. `nextActors` come from the state
+ * analysis when the PR was analyzed. Returns the actions taken (or, on a dry
+ * run, the ones that would have been) for the sweep log.
+ */
+async function escalatePR(octokit, { owner, repo, pr, stages, activity, nextActors = [], staleDays, staleOverrides, dryRun, now = new Date() }) {
+  const idleDays = (now - new Date(activity.lastActivity)) / (1000 * 60 * 60 * 24);
+  const { removeLabels, next } = planEscalation({ pr, stages, idleDays, doneStages: activity.doneStages, staleDays, staleOverrides });
+  const taken = [];
+  const prefix = dryRun ? "[dry-run] would " : "";
+
+  for (const label of removeLabels) {
+    if (!dryRun) await withoutBudget(() => octokit.rest.issues.removeLabel({ owner, repo, issue_number: pr.number, name: label }));
+    core.info(`PR #${pr.number}: ${prefix}remove label "${label}" (active ${Math.floor(idleDays)} day(s) ago).`);
+    taken.push(`unlabel:${label}`);
+  }
+
+  if (next) {
+    const body = escalationBody(next, { pr, idleDays, nextActors });
+    if (!dryRun) await withoutBudget(() => applyStage(octokit, { owner, repo, pr, stage: next, body }));
+    core.info(`PR #${pr.number}: ${prefix}apply escalation stage "${next.name}" (${next.action}) after ${Math.floor(idleDays)} idle day(s).`);
+    taken.push(next.name);
+  }
+
+  return taken;
+}
+
+export {
+  validateEscalation,
+  planEscalation,
+  needsActivity,
+  fetchActivity,
+  escalatePR
+};
@@ -0,0 +1,267 @@
+import * as core from "@actions/core";
+import { isBudgetExhausted, markSkipped, rethrowIfBudgetExhausted } from "./api-client.js";
+
+const CACHE_VERSION = 1;
+const CACHE_FILE = "reviewer-history.json";
+const MAX_COMMITS_PER_PATH = 30;
+const MAX_AGE_DAYS = 365;
+
+// -------------------- Helpers --------------------
+
+function emptyCache() {
+  return {
+    version: CACHE_VERSION,
+    commits: { lastSeen: null, paths: {} },
+    pulls: { lastSeen: null, items: {} },
+    rotation: {}
+  };
+}
+
+function daysAgoISO(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function mergePathCommits(existing, incoming) {
+  const bySha = new Map((existing || []).map((c) => [c.sha, c]));
+  for (const c of incoming) bySha.set(c.sha, c);
+  return [...bySha.values()]
+    .sort((a, b) => (a.date < b.date ? 1 : -1))
+    .slice(0, MAX_COMMITS_PER_PATH);
+}
+
+function toCommitEntry(c) {
+  return {
+    sha: c.sha,
+    login: c.author?.login || null,
+    date: c.commit?.author?.date || c.commit?.committer?.date || null
+  };
+}
+
+function pruneCache(data) {
+  const cutoff = daysAgoISO(MAX_AGE_DAYS);
+  for (const [path, entry] of Object.entries(data.commits.paths)) {
+    entry.commits = entry.commits.filter((c) => c.date && c.date >= cutoff);
+    if (!entry.commits.length && entry.fetchedAt < cutoff) delete data.commits.paths[path];
+  }
+  for (const [number, pr] of Object.entries(data.pulls.items)) {
+    if (pr.createdAt < cutoff) delete data.pulls.items[number];
+  }
+  for (const pool of Object.values(data.rotation)) {
+    for (const [number, pick] of Object.entries(pool.picks)) {
+      if (pick.at < cutoff) delete pool.picks[number];
+    }
+  }
+}
+
+// -------------------- Load / save --------------------
+
+async function loadHistoryCache(octokit, { owner, repo, branch }) {
+  const cache = { branch, sha: null, data: emptyCache(), dirty: false };
+
+  try {
+    const resp = await octokit.rest.repos.getContent({ owner, repo, path: CACHE_FILE, ref: branch });
+    if (resp.data && !Array.isArray(resp.data) && resp.data.content) {
+      const parsed = JSON.parse(Buffer.from(resp.data.content, resp.data.encoding || "base64").toString("utf8"));
+      cache.sha = resp.data.sha;
+      if (parsed?.version === CACHE_VERSION) {
+        cache.data = { rotation: {}, ...parsed };
+      } else {
+        core.info(`History cache on ${branch} has an old format; rebuilding.`);
+      }
+    }
+  } catch (e) {
+    if (isBudgetExhausted(e)) markSkipped("history cache");
+    else if (e?.status !== 404) core.warning(`Could not read history cache from ${branch} (starting fresh): ${e?.message || e}`);
+  }
+
+  core.info(`History cache: ${Object.keys(cache.data.commits.paths).length} path(s), ${Object.keys(cache.data.pulls.items).length} PR(s) cached.`);
+  return cache;
+}
+
+async function createCacheBranch(octokit, { owner, repo, branch, content }) {
+  const tree = await octokit.rest.git.createTree({
+    owner, repo,
+    tree: [{ path: CACHE_FILE, mode: "100644", type: "blob", content }]
+  });
+  const commit = await octokit.rest.git.createCommit({
+    owner, repo, message: "Initialize PR Advisor history cache", tree: tree.data.sha, parents: []
+  });
+  await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.data.sha });
+}
+
+async function saveHistoryCache(octokit, { owner, repo, cache }) {
+  if (!cache.dirty) return false;
+  pruneCache(cache.data);
+  const content = JSON.stringify(cache.data);
+
+  try {
+    if (cache.sha) {
+      await octokit.rest.repos.createOrUpdateFileContents({
+        owner, repo, branch: cache.branch, path: CACHE_FILE, sha: cache.sha,
+        message: "Update PR Advisor history cache",
+        content: Buffer.from(content, "utf8").toString("base64")
+      });
+    } else {
+      try {
+        await octokit.rest.git.getRef({ owner, repo, ref: `heads/${cache.branch}` });
+        await octokit.rest.repos.createOrUpdateFileContents({
+          owner, repo, branch: cache.branch, path: CACHE_FILE,
+          message: "Update PR Advisor history cache",
+          content: Buffer.from(content, "utf8").toString("base64")
+        });
+      } catch (e) {
+        if (e?.status !== 404) throw e;
+        await createCacheBranch(octokit, { owner, repo, branch: cache.branch, content });
+      }
+    }
+    core.info(`Saved history cache to ${cache.branch}.`);
+    return true;
+  } catch (e) {
+    if (isBudgetExhausted(e)) {
+      markSkipped("history cache save");
+      return false;
+    }
+    // A concurrent run may have updated the cache first; the next run picks up from there.
+    core.warning(`Could not save history cache to ${cache.branch} (needs contents:write permission): ${e?.message || e}`);
+    return false;
+  }
+}
+
+// -------------------- Commit history --------------------
+
+/**
+ * Brings per-path commit history up to date. One request finds the newest
+ * commit in the repo; only the requested paths fetched before it are
+ * re-listed, and only for commits since their last fetch.
+ */
+async function refreshCommitHistory(octokit, { owner, repo, cache, paths, sinceISO }) {
+  const commits = cache.data.commits;
+  const startedAt = new Date().toISOString();
+  let changed = false;
+
+  const head = await octokit.rest.repos.listCommits({ owner, repo, per_page: 1 });
+  const newest = toCommitEntry(head.data[0] || {}).date;
+
+  for (const path of paths) {
+    const cached = commits.paths[path];
+    const covered = cached && cached.since <= sinceISO;
+    if (covered && (!newest || cached.fetchedAt >= newest)) continue;
+    try {
+      const resp = await octokit.rest.repos.listCommits({
+        owner, repo, path, since: covered ? cached.fetchedAt : sinceISO, per_page: MAX_COMMITS_PER_PATH
+      });
+      commits.paths[path] = {
+        since: covered ? cached.since : sinceISO,
+        fetchedAt: startedAt,
+        commits: mergePathCommits(cached?.commits, resp.data.map(toCommitEntry))
+      };
+      changed = true;
+    } catch (e) {
+      rethrowIfBudgetExhausted(e);
+      core.warning(`Failed commit lookup for ${path}: ${e?.message || e}`);
+    }
+  }
+
+  if (changed) {
+    commits.lastSeen = newest;
+    cache.dirty = true;
+  }
+}
+
+function cachedCommitsForPath(cache, path, sinceISO) {
+  const entry = cache.data.commits.paths[path];
+  if (!entry) return [];
+  return entry.commits.filter((c) => c.date && c.date >= sinceISO);
+}
+
+// -------------------- Pull request reviews --------------------
+
+/**
+ * Lists closed PRs, most recently updated first, and reads their reviews.
+ * Pages until `stopAt` when given, otherwise up to `maxPRs`.
+ */
+async function fetchClosedPullRecords(octokit, { owner, repo, maxPRs, stopAt = null }) {
+  const perPage = stopAt ? 100 : Math.min(maxPRs, 100);
+  const pulls = [];
+  for (let page = 1; ; page += 1) {
+    const resp = await octokit.rest.pulls.list({
+      owner, repo, state: "closed", sort: "updated", direction: "desc", per_page: perPage, page
+    });
+    const batch = stopAt ? resp.data.filter((pr) => pr.updated_at > stopAt) : resp.data;
+    pulls.push(...batch);
+    if (resp.data.length < perPage || batch.length < resp.data.length) break;
+    if (!stopAt && pulls.length >= maxPRs) break;
+  }
+
+  const records = [];
+  for (const pr of stopAt ? pulls : pulls.slice(0, maxPRs)) {
+    if (!pr.merged_at && !pr.closed_at) continue;
+
+    let reviewsResp;
+    try {
+      reviewsResp = await octokit.rest.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 });
+    } catch (e) {
+      rethrowIfBudgetExhausted(e);
+      continue;
+    }
+
+    const firstReviews = {};
+    for (const r of reviewsResp.data) {
+      const login = r.user?.login;
+      if (!login || !r.submitted_at) continue;
+      if (!firstReviews[login] || r.submitted_at < firstReviews[login]) firstReviews[login] = r.submitted_at;
+    }
+
+    records.push({ number: pr.number, createdAt: pr.created_at, updatedAt: pr.updated_at, firstReviews });
+  }
+  return records;
+}
+
+/**
+ * Fetches reviews only for PRs closed or updated since the last run and
+ * returns every cached PR record.
+ */
+async function refreshPullRecords(octokit, { owner, repo, cache, maxPRs }) {
+  const pulls = cache.data.pulls;
+  const fresh = await fetchClosedPullRecords(octokit, { owner, repo, maxPRs, stopAt: pulls.lastSeen });
+
+  for (const r of fresh) {
+    pulls.items[r.number] = r;
+    if (!pulls.lastSeen || r.updatedAt > pulls.lastSeen) pulls.lastSeen = r.updatedAt;
+  }
+  if (fresh.length) {
+    core.info(`History cache: fetched reviews for ${fresh.length} new closed PR(s).`);
+    cache.dirty = true;
+  }
+  return Object.values(pulls.items);
+}
+
+// -------------------- Reviewer rotation --------------------
+
+/**
+ * Rotation state for a reviewer pool: the last login picked and the pick made
+ * for each PR, so re-runs on the same PR keep their reviewer.
+ */
+function rotationState(cache, pool) {
+  return cache.data.rotation[pool] || { last: null, picks: {} };
+}
+
+function recordRotationPick(cache, pool, { number, login }) {
+  const state = rotationState(cache, pool);
+  if (state.last === login && state.picks[number]?.login === login) return;
+  state.last = login;
+  state.picks[number] = { login, at: new Date().toISOString() };
+  cache.data.rotation[pool] = state;
+  cache.dirty = true;
+}
+
+export {
+  loadHistoryCache,
+  saveHistoryCache,
+  refreshCommitHistory,
+  cachedCommitsForPath,
+  fetchClosedPullRecords,
+  refreshPullRecords,
+  rotationState,
+  recordRotationPick
+};
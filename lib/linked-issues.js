@@ -0,0 +1,169 @@
+import * as core from "@actions/core";
+import { isBudgetExhausted, rethrowIfBudgetExhausted } from "./api-client.js";
+
+const MAX_LINKED_ISSUES = 10;
+
+const CLOSING_REFERENCE = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\b:?\s+(?:([\w.-]+)\/([\w.-]+)#(\d+)|#(\d+)|https?:\/\/[^\s/]+\/([\w.-]+)\/([\w.-]+)\/issues\/(\d+))/gi;
+
+// Closing issue references and development-panel links, with what the state
+// section shows about each issue.
+const LINKED_ISSUES_QUERY = `
+  query LinkedIssues($owner: String!, $repo: String!, $number: Int!, $first: Int!) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        closingIssuesReferences(first: $first) {
+          nodes {
+            number
+            title
+            url
+            state
+            stateReason
+            repository { owner { login } name }
+            labels(first: 20) { nodes { name } }
+            milestone { title }
+            assignees(first: 10) { nodes { login } }
+          }
+        }
+      }
+    }
+  }`;
+
+// -------------------- Detection --------------------
+
+/**
+ * Issues referenced with a closing keyword ("Fixes #1", "Closes acme/api#2",
+ * "Resolves https://github.com/acme/api/issues/3"), deduplicated, in order.
+ */
+function parseClosingReferences(body, { owner, repo } = {}) {
+  const refs = new Map();
+  for (const m of String(body || "").replace(/<!--[\s\S]*?-->/g, "").matchAll(CLOSING_REFERENCE)) {
+    const ref = m[4]
+      ? { owner, repo, number: Number(m[4]) }
+      : m[3]
+        ? { owner: m[1], repo: m[2], number: Number(m[3]) }
+        : { owner: m[5], repo: m[6], number: Number(m[7]) };
+    refs.set(`${ref.owner}/${ref.repo}#${ref.number}`.toLowerCase(), ref);
+  }
+  return [...refs.values()];
+}
+
+function issueKey(issue) {
+  return `${issue.owner}/${issue.repo}#${issue.number}`.toLowerCase();
+}
+
+function fromGraphql(node) {
+  return {
+    owner: node.repository?.owner?.login,
+    repo: node.repository?.name,
+    number: node.number,
+    title: node.title,
+    url: node.url,
+    state: String(node.state || "").toLowerCase(),
+    stateReason: node.stateReason ? node.stateReason.toLowerCase() : null,
+    labels: (node.labels?.nodes || []).map((l) => l.name),
+    milestone: node.milestone?.title || null,
+    assignees: (node.assignees?.nodes || []).map((a) => a.login)
+  };
+}
+
+function fromRest(ref, data) {
+  return {
+    ...ref,
+    title: data.title,
+    url: data.html_url,
+    state: data.state,
+    stateReason: data.state_reason || null,
+    labels: (data.labels || []).map((l) => (typeof l === "string" ? l : l.name)),
+    milestone: data.milestone?.title || null,
+    assignees: (data.assignees || []).map((a) => a.login)
+  };
+}
+
+/**
+ * GitHub links issues through closing keywords and the development panel;
+ * both come back from `closingIssuesReferences`. Keywords GitHub does not
+ * link (for example on PRs against a non-default branch) are read from the
+ * body and looked up over REST.
+ */
+async function fetchLinkedIssues(octokit, { owner, repo, pr }) {
+  const issues = new Map();
+
+  try {
+    const data = await octokit.graphql(LINKED_ISSUES_QUERY, { owner, repo, number: pr.number, first: MAX_LINKED_ISSUES });
+    for (const node of data?.repository?.pullRequest?.closingIssuesReferences?.nodes || []) {
+      const issue = fromGraphql(node);
+      issues.set(issueKey(issue), issue);
+    }
+  } catch (e) {
+    if (isBudgetExhausted(e)) throw e;
+    core.warning(`Could not read linked issues for PR #${pr.number} (${e?.message || e}); using closing keywords only.`);
+  }
+
+  for (const ref of parseClosingReferences(pr.body, { owner, repo })) {
+    if (issues.size >= MAX_LINKED_ISSUES) break;
+    if (issues.has(issueKey(ref))) continue;
+    try {
+      const resp = await octokit.rest.issues.get({ owner: ref.owner, repo: ref.repo, issue_number: ref.number });
+      if (resp.data.pull_request) continue;
+      issues.set(issueKey(ref), fromRest(ref, resp.data));
+    } catch (e) {
+      rethrowIfBudgetExhausted(e);
+      core.warning(`Could not read issue ${ref.owner}/${ref.repo}#${ref.number}: ${e?.message || e}`);
+    }
+  }
+
+  // Issues in other repositories are shown as owner/repo#N.
+  const here = `${owner}/${repo}`.toLowerCase();
+  return [...issues.values()].map((issue) => ({
+    ...issue,
+    ref: `${issue.owner}/${issue.repo}`.toLowerCase() === here ? `#${issue.number}` : `${issue.owner}/${issue.repo}#${issue.number}`
+  }));
+}
+
+// -------------------- Warnings --------------------
+
+/**
+ * Reasons a linked issue suggests the PR may no longer matter or is
+ * mis-triaged: `closed`, `assigned` (to people other than the PR author) and
+ * `milestone` (set on the issue and different from the PR's).
+ */
+function linkedIssueWarnings(issue, pr) {
+  const warnings = [];
+  const author = (pr.user?.login || "").toLowerCase();
+
+  if (issue.state === "closed") warnings.push({ kind: "closed" });
+
+  const others = issue.assignees.filter((a) => a.toLowerCase() !== author);
+  if (issue.assignees.length && others.length === issue.assignees.length) warnings.push({ kind: "assigned", assignees: others });
+
+  const prMilestone = pr.milestone?.title || null;
+  if (issue.milestone && issue.milestone !== prMilestone) warnings.push({ kind: "milestone", issue: issue.milestone, pr: prMilestone });
+
+  return warnings;
+}
+
+// -------------------- Formatting --------------------
+
+function formatLinkedIssues(issues, pr, tr) {
+  const lines = [`**${tr.linkedIssues}:**`];
+  for (const issue of issues) {
+    const details = [issue.state === "closed" ? tr.issueClosed : tr.issueOpen];
+    if (issue.labels.length) details.push(`${tr.labels}: ${issue.labels.map((l) => `\`${l}\``).join(", ")}`);
+    if (issue.milestone) details.push(`${tr.milestone}: ${issue.milestone}`);
+    lines.push(`- [${issue.ref}](${issue.url}) ${issue.title} — ${details.join(", ")}`);
+
+    for (const w of linkedIssueWarnings(issue, pr)) {
+      if (w.kind === "closed") lines.push(`  - ⚠️ ${tr.alreadyClosed}`);
+      if (w.kind === "assigned") lines.push(`  - ⚠️ ${tr.assignedTo} ${w.assignees.map((a) => `@${a}`).join(", ")}`);
+      if (w.kind === "milestone") lines.push(`  - ⚠️ ${tr.milestone} ${issue.milestone}, ${tr.prMilestone} ${w.pr || tr.none}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+export {
+  parseClosingReferences,
+  fetchLinkedIssues,
+  linkedIssueWarnings,
+  formatLinkedIssues
+};
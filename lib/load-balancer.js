@@ -0,0 +1,174 @@
+import * as core from "@actions/core";
+import { rethrowIfBudgetExhausted } from "./api-client.js";
+import { fetchMembersOfTeams, isTeamOwner } from "./codeowners.js";
+import { rotationState, recordRotationPick } from "./history-cache.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_PAGES = 4;
+
+const RECENT_REVIEWS_QUERY = `
+  query RecentReviews($search: String!, $first: Int!, $cursor: String) {
+    search(query: $search, type: ISSUE, first: $first, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ... on PullRequest {
+          reviews(first: 50) { nodes { author { login } submittedAt } }
+        }
+      }
+    }
+  }`;
+
+// -------------------- Pool --------------------
+
+function parsePoolEntry(entry) {
+  const [handle, weight] = entry.split(":");
+  return { handle: handle.trim().replace(/^@/, ""), weight: weight == null ? 1 : Number(weight) };
+}
+
+/**
+ * The pool reviewers rotate through: `entries` are logins or `@org/team`
+ * handles, each with an optional `:weight` ("ann:2, @acme/core"). Without
+ * entries, the members of the CODEOWNERS teams owning the changed files
+ * (`teamMembers`) form the pool. Returns `{ key, label, members: [{ login,
+ * weight }] }`, where `key` names the rotation state, or null without a pool.
+ */
+async function resolveReviewerPool(octokit, { entries, teamMembers }) {
+  const members = new Map();
+  const addMember = (login, weight) => {
+    if (!members.has(login.toLowerCase())) members.set(login.toLowerCase(), { login, weight });
+  };
+
+  if (!entries.length) {
+    for (const logins of teamMembers.values()) logins.forEach((l) => addMember(l, 1));
+    const label = [...teamMembers.keys()].map((t) => `@${t}`).join(", ");
+    return members.size ? { key: label, label, members: [...members.values()] } : null;
+  }
+
+  const parsed = entries.map(parsePoolEntry).filter((p) => p.handle && Number.isFinite(p.weight) && p.weight > 0);
+  const teams = await fetchMembersOfTeams(octokit, parsed.filter((p) => isTeamOwner(p.handle)).map((p) => p.handle));
+  for (const p of parsed) {
+    if (isTeamOwner(p.handle)) (teams.get(p.handle) || []).forEach((l) => addMember(l, p.weight));
+    else addMember(p.handle, p.weight);
+  }
+  return members.size ? { key: "reviewer_pool", label: "the reviewer pool", members: [...members.values()] } : null;
+}
+
+// -------------------- Recent reviews --------------------
+
+/**
+ * Counts, per lowercased login, the PRs reviewed in the last `days` days
+ * across `repos` (names under `owner`).
+ */
+async function fetchRecentReviewCounts(octokit, { owner, repos, days }) {
+  const since = new Date(Date.now() - days * DAY_MS).toISOString();
+  const counts = new Map();
+
+  for (const repo of repos) {
+    const search = `repo:${owner}/${repo} is:pr updated:>=${since.slice(0, 10)}`;
+    let cursor = null;
+    try {
+      for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+        const data = await octokit.graphql(RECENT_REVIEWS_QUERY, { search, first: SEARCH_PAGE_SIZE, cursor });
+        for (const pr of data?.search?.nodes || []) {
+          const reviewers = new Set((pr.reviews?.nodes || [])
+            .filter((r) => r.author?.login && r.submittedAt >= since)
+            .map((r) => r.author.login.toLowerCase()));
+          for (const login of reviewers) counts.set(login, (counts.get(login) || 0) + 1);
+        }
+        if (!data?.search?.pageInfo?.hasNextPage) break;
+        cursor = data.search.pageInfo.endCursor;
+      }
+    } catch (e) {
+      rethrowIfBudgetExhausted(e);
+      core.warning(`Could not count recent reviews in ${owner}/${repo}: ${e?.message || e}`);
+    }
+  }
+  return counts;
+}
+
+// -------------------- Rotation --------------------
+
+/**
+ * Picks the next reviewer among the `eligible` pool members. Members rotate
+ * in login order starting after `last`. `round_robin` takes the next one;
+ * `weighted` takes the one with the fewest recent reviews per unit of weight,
+ * with ties going to rotation order.
+ */
+function pickFromPool({ members, eligible, counts, last, mode }) {
+  const order = [...members].sort((a, b) => a.login.toLowerCase().localeCompare(b.login.toLowerCase()));
+  const start = last ? order.findIndex((m) => m.login.toLowerCase() === last.toLowerCase()) + 1 : 0;
+  const rotated = [...order.slice(start), ...order.slice(0, start)].filter((m) => eligible(m.login));
+  if (!rotated.length) return null;
+  if (mode === "round_robin") return rotated[0];
+
+  const load = (m) => (counts.get(m.login.toLowerCase()) || 0) / m.weight;
+  return rotated.reduce((best, m) => (load(m) < load(best) ? m : best));
+}
+
+/**
+ * Picks this PR's reviewer from `pool`. A PR whose pick was requested on an
+ * earlier run keeps it while that person is still eligible. The pick is not
+ * recorded here: see recordRequestedPick.
+ */
+async function balanceReviewers(octokit, { owner, repos, prNumber, pool, mode, days, cache, eligible }) {
+  const counts = await fetchRecentReviewCounts(octokit, { owner, repos, days });
+  const state = cache ? rotationState(cache, pool.key) : { last: null, picks: {} };
+  const inPool = (login) => pool.members.some((m) => m.login.toLowerCase() === login.toLowerCase());
+
+  const previous = state.picks[prNumber]?.login;
+  const kept = previous && inPool(previous) && eligible(previous);
+  const pick = kept ? previous : pickFromPool({ members: pool.members, eligible, counts, last: state.last, mode })?.login || null;
+
+  return {
+    key: pool.key,
+    pool: pool.label,
+    mode,
+    days,
+    pick,
+    kept: Boolean(kept),
+    after: state.last,
+    reviews: pool.members.map((m) => ({ login: m.login, count: counts.get(m.login.toLowerCase()) || 0 }))
+  };
+}
+
+/**
+ * Advances the rotation once the pick is actually requested on the PR
+ * (`requested` logins), so a suggestion nobody acted on does not use up that
+ * person's turn. Returns whether the pick was recorded.
+ */
+function recordRequestedPick(cache, balance, { number, requested }) {
+  if (!cache || !balance?.pick || balance.kept) return false;
+  const pick = balance.pick.toLowerCase();
+  if (!requested.some((login) => login.toLowerCase() === pick)) return false;
+  recordRotationPick(cache, balance.key, { number, login: balance.pick });
+  return true;
+}
+
+// -------------------- Formatting --------------------
+
+function formatLoadBalancing(balance) {
+  if (!balance) return "";
+  if (!balance.pick) return `\n\n**Load balancing:** no available reviewer in ${balance.pool}.\n`;
+
+  const how = balance.kept
+    ? "kept from an earlier run on this PR"
+    : balance.mode === "round_robin"
+      ? `round-robin${balance.after ? `, next after @${balance.after}` : ""}`
+      : "fewest recent reviews";
+  const reviews = [...balance.reviews]
+    .sort((a, b) => a.count - b.count || a.login.localeCompare(b.login))
+    .map((r) => `@${r.login} ${r.count}`)
+    .join(", ");
+  return `\n\n**Load balancing:** picked @${balance.pick} from ${balance.pool} (${how}). ` +
+    `Reviews in the last ${balance.days} days: ${reviews}.\n`;
+}
+
+export {
+  resolveReviewerPool,
+  fetchRecentReviewCounts,
+  pickFromPool,
+  balanceReviewers,
+  recordRequestedPick,
+  formatLoadBalancing
+};
@@ -0,0 +1,205 @@
+import * as core from "@actions/core";
+import { rethrowIfBudgetExhausted } from "./api-client.js";
+import { listAllPRFiles } from "./utils.js";
+import { fetchCodeownersText, parseCodeowners, ownersForFile, fetchTeamMembers } from "./codeowners.js";
+
+const MAX_PR_FILES = 300;
+
+// -------------------- Helpers --------------------
+
+function emptyRequirements() {
+  return {
+    sources: [],
+    requiredApprovals: 0,
+    codeOwnerReview: false,
+    requiredChecks: [],
+    strictChecks: false,
+    signedCommits: false,
+    linearHistory: false
+  };
+}
+
+function isPermissionError(err) {
+  return err?.status === 403 || err?.status === 404;
+}
+
+function mergeRulesetRules(req, rules) {
+  for (const rule of rules || []) {
+    const p = rule.parameters || {};
+    switch (rule.type) {
+      case "pull_request":
+        req.requiredApprovals = Math.max(req.requiredApprovals, p.required_approving_review_count || 0);
+        req.codeOwnerReview ||= Boolean(p.require_code_owner_review);
+        break;
+      case "required_status_checks":
+        for (const c of p.required_status_checks || []) req.requiredChecks.push(c.context);
+        req.strictChecks ||= Boolean(p.strict_required_status_checks_policy);
+        break;
+      case "required_signatures":
+        req.signedCommits = true;
+        break;
+      case "required_linear_history":
+        req.linearHistory = true;
+        break;
+    }
+  }
+}
+
+function mergeStatusChecks(req, checks) {
+  if (!checks) return;
+  for (const c of checks.contexts || []) req.requiredChecks.push(c);
+  for (const c of checks.checks || []) req.requiredChecks.push(c.context);
+  req.strictChecks ||= Boolean(checks.strict);
+}
+
+function mergeClassicProtection(req, p) {
+  const reviews = p.required_pull_request_reviews;
+  if (reviews) {
+    req.requiredApprovals = Math.max(req.requiredApprovals, reviews.required_approving_review_count || 0);
+    req.codeOwnerReview ||= Boolean(reviews.require_code_owner_reviews);
+  }
+  mergeStatusChecks(req, p.required_status_checks);
+  if (p.required_signatures?.enabled) req.signedCommits = true;
+  if (p.required_linear_history?.enabled) req.linearHistory = true;
+}
+
+// -------------------- Fetch --------------------
+
+/**
+ * Combines repository rulesets and classic branch protection for `branch`.
+ * Full classic protection needs admin access; without it only the required
+ * status checks from the branch summary are known.
+ */
+async function fetchMergeRequirements(octokit, { owner, repo, branch }) {
+  const req = emptyRequirements();
+
+  try {
+    const resp = await octokit.rest.repos.getBranchRules({ owner, repo, branch, per_page: 100 });
+    if (resp.data.length) {
+      mergeRulesetRules(req, resp.data);
+      req.sources.push("rulesets");
+    }
+  } catch (e) {
+    rethrowIfBudgetExhausted(e);
+    if (!isPermissionError(e)) core.warning(`Could not read rulesets for ${branch}: ${e?.message || e}`);
+  }
+
+  try {
+    const resp = await octokit.rest.repos.getBranchProtection({ owner, repo, branch });
+    mergeClassicProtection(req, resp.data);
+    req.sources.push("branch protection");
+  } catch (e) {
+    rethrowIfBudgetExhausted(e);
+    if (!isPermissionError(e)) throw e;
+
+    const resp = await octokit.rest.repos.getBranch({ owner, repo, branch });
+    if (resp.data.protected && resp.data.protection?.enabled) {
+      mergeStatusChecks(req, resp.data.protection.required_status_checks);
+      req.sources.push("branch protection (partial)");
+    }
+  }
+
+  req.requiredChecks = [...new Set(req.requiredChecks.filter(Boolean))];
+  return req;
+}
+
+async function fetchCodeOwnerRules(octokit, { owner, repo, pr }) {
+  // GitHub enforces the CODEOWNERS file from the base branch.
+  const text = await fetchCodeownersText(octokit, { owner, repo, ref: pr.base?.sha || pr.base?.ref });
+  return parseCodeowners(text);
+}
+
+// -------------------- Evaluate --------------------
+
+// An approval from a member of an owning team counts for the team; teams
+// whose members are unknown can only be listed as missing.
+function missingCodeOwners({ rules, files, approvers, teamMembers }) {
+  const missing = new Set();
+  for (const f of files) {
+    const owners = ownersForFile(rules, f);
+    if (!owners.length) continue;
+    if (owners.some((o) => approvers.has(o) || (teamMembers.get(o) || []).some((m) => approvers.has(m)))) continue;
+    for (const o of owners) missing.add(o);
+  }
+  return [...missing];
+}
+
+/**
+ * Returns the unmet requirements as `{ kind, text, actors }`. `checkNames` are
+ * the check runs reported on the head commit; `commits` is only needed when
+ * signed commits or linear history are required.
+ */
+function evaluateMergeRequirements({ requirements, approvers, checkNames, files = [], codeOwnerRules = [], teamMembers = new Map(), commits = [], prAuthor }) {
+  const unmet = [];
+  const authorActors = prAuthor ? [`@${prAuthor}`] : [];
+
+  if (approvers.size < requirements.requiredApprovals) {
+    unmet.push({ kind: "approvals", text: `${approvers.size} of ${requirements.requiredApprovals} required approvals.`, actors: [] });
+  }
+
+  for (const name of requirements.requiredChecks) {
+    if (!checkNames.includes(name)) {
+      unmet.push({ kind: "check", text: `Required check \`${name}\` missing.`, actors: authorActors });
+    }
+  }
+
+  if (requirements.codeOwnerReview) {
+    const missing = missingCodeOwners({ rules: codeOwnerRules, files, approvers, teamMembers });
+    if (missing.length) {
+      const owners = missing.map((o) => `@${o}`);
+      unmet.push({ kind: "codeowners", text: `Code owner review required from ${owners.join(", ")}.`, actors: owners });
+    }
+  }
+
+  if (requirements.signedCommits) {
+    const unsigned = commits.filter((c) => !c.commit?.verification?.verified).length;
+    if (unsigned) unmet.push({ kind: "signatures", text: `${unsigned} commit(s) without a verified signature; signed commits are required.`, actors: authorActors });
+  }
+
+  if (requirements.linearHistory && commits.some((c) => (c.parents || []).length > 1)) {
+    unmet.push({ kind: "linear_history", text: "Contains merge commits; linear history is required.", actors: authorActors });
+  }
+
+  return unmet;
+}
+
+/**
+ * Fetches the base branch requirements (memoized per branch in `cache`) and
+ * whatever PR data they need, and evaluates them.
+ */
+async function checkMergeRequirements(octokit, { owner, repo, pr, files, approvers, checkNames, cache = null }) {
+  const branch = pr.base?.ref;
+  let requirements = cache?.get(branch);
+  if (!requirements) {
+    requirements = await fetchMergeRequirements(octokit, { owner, repo, branch });
+    cache?.set(branch, requirements);
+  }
+
+  let changedFiles = [];
+  let codeOwnerRules = [];
+  let teamMembers = new Map();
+  if (requirements.codeOwnerReview) {
+    const list = files || await listAllPRFiles(octokit, { owner, repo, pull_number: pr.number, maxFiles: MAX_PR_FILES });
+    changedFiles = list.map((f) => f.filename);
+    codeOwnerRules = await fetchCodeOwnerRules(octokit, { owner, repo, pr });
+    teamMembers = await fetchTeamMembers(octokit, { codeownersRules: codeOwnerRules, filePaths: changedFiles });
+  }
+
+  let commits = [];
+  if (requirements.signedCommits || requirements.linearHistory) {
+    const resp = await octokit.rest.pulls.listCommits({ owner, repo, pull_number: pr.number, per_page: 100 });
+    commits = resp.data;
+  }
+
+  const unmet = evaluateMergeRequirements({
+    requirements, approvers, checkNames, files: changedFiles, codeOwnerRules, teamMembers, commits, prAuthor: pr.user?.login
+  });
+
+  return { requirements, unmet };
+}
+
+export {
+  fetchMergeRequirements,
+  evaluateMergeRequirements,
+  checkMergeRequirements
+};
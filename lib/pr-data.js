@@ -0,0 +1,276 @@
+import * as core from "@actions/core";
+import { isBudgetExhausted } from "./api-client.js";
+import { listAllPRFiles } from "./utils.js";
+import { mergeCheckSources, fetchChecks } from "./checks.js";
+
+// GraphQL connections return at most 100 nodes per page.
+const PAGE_SIZE = 100;
+
+// -------------------- Queries --------------------
+
+const REVIEW_THREAD_FIELDS = `
+  isResolved
+  isOutdated
+  path
+  line
+  comments(first: 1) { nodes { author { login } createdAt url } }
+  lastComment: comments(last: 1) { nodes { author { login } createdAt } }`;
+
+const FILE_FIELDS = "path additions deletions changeType";
+
+const PR_DATA_QUERY = `
+  query PullRequestData($owner: String!, $repo: String!, $number: Int!, $files: Int!, $checks: Int!, $withFiles: Boolean!) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        id
+        number
+        title
+        body
+        url
+        state
+        isDraft
+        mergeable
+        reviewDecision
+        createdAt
+        updatedAt
+        additions
+        deletions
+        changedFiles
+        author { __typename login }
+        baseRefName
+        baseRefOid
+        baseRepository { url }
+        headRefName
+        headRefOid
+        labels(first: 100) { nodes { name } }
+        milestone { title }
+        reviewRequests(first: 100) {
+          nodes { requestedReviewer { __typename ... on User { login } ... on Team { slug } } }
+        }
+        reviews(first: 100) { nodes { author { __typename login } state submittedAt } }
+        files(first: $files) @include(if: $withFiles) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${FILE_FIELDS} }
+        }
+        reviewThreads(first: 100) {
+          pageInfo { hasNextPage }
+          nodes { ${REVIEW_THREAD_FIELDS} }
+        }
+        commits(last: 1) {
+          nodes {
+            commit {
+              statusCheckRollup {
+                contexts(first: $checks) {
+                  nodes {
+                    __typename
+                    ... on CheckRun {
+                      databaseId name status conclusion startedAt completedAt detailsUrl title summary text
+                      checkSuite { databaseId app { slug } }
+                    }
+                    ... on StatusContext { context state createdAt targetUrl }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+const PR_FILES_QUERY = `
+  query PullRequestFiles($owner: String!, $repo: String!, $number: Int!, $first: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        files(first: $first, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${FILE_FIELDS} }
+        }
+      }
+    }
+  }`;
+
+// -------------------- GraphQL → REST shapes --------------------
+
+// The analyzers were written against REST responses, so GraphQL nodes are
+// converted to the same shapes (trimmed to the fields the action reads).
+
+const MERGEABLE = { MERGEABLE: true, CONFLICTING: false };
+
+function toUser(author) {
+  if (!author?.login) return null;
+  return { login: author.login, type: author.__typename === "Bot" ? "Bot" : "User" };
+}
+
+function toPull(node) {
+  const requests = (node.reviewRequests?.nodes || []).map((n) => n.requestedReviewer).filter(Boolean);
+  return {
+    number: node.number,
+    node_id: node.id,
+    html_url: node.url,
+    state: String(node.state || "").toLowerCase(),
+    title: node.title,
+    body: node.body,
+    draft: Boolean(node.isDraft),
+    mergeable: MERGEABLE[node.mergeable] ?? null,
+    review_decision: node.reviewDecision || null,
+    user: toUser(node.author),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    additions: node.additions,
+    deletions: node.deletions,
+    changed_files: node.changedFiles,
+    head: { ref: node.headRefName, sha: node.headRefOid },
+    base: { ref: node.baseRefName, sha: node.baseRefOid, repo: node.baseRepository ? { html_url: node.baseRepository.url } : null },
+    labels: (node.labels?.nodes || []).map((l) => ({ name: l.name })),
+    milestone: node.milestone ? { title: node.milestone.title } : null,
+    requested_reviewers: requests.filter((r) => r.__typename === "User" && r.login).map((r) => ({ login: r.login, type: "User" })),
+    requested_teams: requests.filter((r) => r.__typename === "Team" && r.slug).map((r) => ({ slug: r.slug }))
+  };
+}
+
+// REST file statuses by GraphQL changeType. GraphQL has no previous path for
+// renamed files; code that needs `previous_filename` reads the REST files.
+const FILE_STATUSES = { ADDED: "added", DELETED: "removed", MODIFIED: "modified", CHANGED: "modified", RENAMED: "renamed", COPIED: "copied" };
+
+function toFile(node) {
+  return {
+    filename: node.path,
+    additions: node.additions,
+    deletions: node.deletions,
+    changes: node.additions + node.deletions,
+    status: FILE_STATUSES[node.changeType] || "modified"
+  };
+}
+
+function toReview(node) {
+  return { user: toUser(node.author), state: node.state, submitted_at: node.submittedAt };
+}
+
+function toReviewThread(t) {
+  const first = t.comments?.nodes?.[0];
+  const last = t.lastComment?.nodes?.[0] || first;
+  return {
+    resolved: Boolean(t.isResolved),
+    outdated: Boolean(t.isOutdated),
+    path: t.path,
+    line: t.line,
+    url: first?.url || null,
+    startedBy: first?.author?.login || null,
+    startedAt: first?.createdAt || null,
+    lastBy: last?.author?.login || null
+  };
+}
+
+function toCheckRuns(contexts) {
+  const runs = [];
+  const statuses = [];
+  for (const c of contexts) {
+    if (c.__typename === "CheckRun") {
+      runs.push({
+        id: c.databaseId,
+        name: c.name,
+        status: String(c.status || "").toLowerCase(),
+        conclusion: c.conclusion ? c.conclusion.toLowerCase() : null,
+        started_at: c.startedAt,
+        completed_at: c.completedAt,
+        html_url: c.detailsUrl || null,
+        app: c.checkSuite?.app ? { slug: c.checkSuite.app.slug } : null,
+        check_suite: c.checkSuite?.databaseId != null ? { id: c.checkSuite.databaseId } : null,
+        output: { title: c.title, summary: c.summary, text: c.text }
+      });
+    } else if (c.__typename === "StatusContext") {
+      // An EXPECTED status has been required but not reported yet.
+      const state = c.state === "EXPECTED" ? "pending" : String(c.state || "").toLowerCase();
+      statuses.push({ context: c.context, state, created_at: c.createdAt, updated_at: c.createdAt, target_url: c.targetUrl });
+    }
+  }
+  return mergeCheckSources(runs, statuses);
+}
+
+// -------------------- Loaders --------------------
+
+async function fetchRemainingFiles(octokit, { owner, repo, number, cursor, maxFiles, files }) {
+  while (cursor && files.length < maxFiles) {
+    const data = await octokit.graphql(PR_FILES_QUERY, {
+      owner, repo, number, cursor, first: Math.min(PAGE_SIZE, maxFiles - files.length)
+    });
+    const conn = data?.repository?.pullRequest?.files;
+    if (!conn) break;
+    files.push(...(conn.nodes || []).map(toFile));
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  }
+  return files;
+}
+
+async function loadViaGraphql(octokit, { owner, repo, number, maxFiles, maxChecks, withFiles }) {
+  const data = await octokit.graphql(PR_DATA_QUERY, {
+    owner, repo, number, withFiles,
+    files: withFiles ? Math.min(PAGE_SIZE, maxFiles) : 0,
+    checks: Math.min(PAGE_SIZE, maxChecks)
+  });
+  const node = data?.repository?.pullRequest;
+  if (!node) throw new Error(`pull request #${number} not found`);
+
+  let files = null;
+  if (withFiles) {
+    const conn = node.files;
+    files = (conn?.nodes || []).map(toFile);
+    const cursor = conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+    await fetchRemainingFiles(octokit, { owner, repo, number, cursor, maxFiles, files });
+  }
+
+  // More threads than fit on one page are left to analyzeState, which pages
+  // through them itself.
+  const threadConn = node.reviewThreads;
+  const threads = threadConn && !threadConn.pageInfo?.hasNextPage ? (threadConn.nodes || []).map(toReviewThread) : null;
+
+  return {
+    source: "graphql",
+    pr: toPull(node),
+    files,
+    reviews: (node.reviews?.nodes || []).map(toReview),
+    checkRuns: toCheckRuns(node.commits?.nodes?.[0]?.commit?.statusCheckRollup?.contexts?.nodes || []),
+    threads
+  };
+}
+
+async function loadViaRest(octokit, { owner, repo, number, maxFiles, maxChecks, withFiles }) {
+  const prResp = await octokit.rest.pulls.get({ owner, repo, pull_number: number });
+  const pr = prResp.data;
+
+  const [files, reviewsResp, checkRuns] = await Promise.all([
+    withFiles ? listAllPRFiles(octokit, { owner, repo, pull_number: number, maxFiles }) : null,
+    octokit.rest.pulls.listReviews({ owner, repo, pull_number: number, per_page: 100 }),
+    fetchChecks(octokit, { owner, repo, ref: pr.head.sha, maxChecks, label: ` for PR #${number}` })
+  ]);
+
+  return { source: "rest", pr, files, reviews: reviewsResp.data, checkRuns, threads: null };
+}
+
+/**
+ * Loads everything the analyzers need about one PR: the PR itself, changed
+ * files (unless `withFiles` is false), reviews, checks and commit statuses on
+ * the head commit, and review threads when they fit on one page (null
+ * otherwise). One GraphQL query covers all of it; when GraphQL is disabled or
+ * fails, the same data is fetched over REST.
+ */
+async function loadPullRequestData(octokit, { owner, repo, number, maxFiles, maxChecks, withFiles = true, useGraphql = true }) {
+  const params = { owner, repo, number, maxFiles, maxChecks, withFiles };
+  if (useGraphql) {
+    try {
+      return await loadViaGraphql(octokit, params);
+    } catch (e) {
+      if (isBudgetExhausted(e)) throw e;
+      core.warning(`GraphQL query for PR #${number} failed (${e?.message || e}); falling back to REST.`);
+    }
+  }
+  return loadViaRest(octokit, params);
+}
+
+export {
+  REVIEW_THREAD_FIELDS,
+  toReviewThread,
+  toCheckRuns,
+  loadPullRequestData
+};
@@ -1,5 +1,33 @@
 import * as core from "@actions/core";
-import { minimatch } from "minimatch";
+import { parse as parseYaml } from "yaml";
+import { tryFetchFileText, listOpenPulls, listAllPRFiles } from "./utils.js";
+import { fetchCodeownersText, parseCodeowners, isTeamOwner, ownersForFile, unownedFiles, fetchTeamMembers } from "./codeowners.js";
+import { isBudgetExhausted, markSkipped, reportSignalError, rethrowIfBudgetExhausted, withoutBudget } from "./api-client.js";
+import { fetchLineOwnership } from "./blame.js";
+import { fetchUnavailable } from "./availability.js";
+import { resolveReviewerPool, balanceReviewers, formatLoadBalancing } from "./load-balancer.js";
+import { refreshCommitHistory, cachedCommitsForPath, fetchClosedPullRecords, refreshPullRecords } from "./history-cache.js";
+
+// Open PRs scanned for review load and flaky reviewers.
+const MAX_OPEN_PRS = 1000;
+const MAX_UNOWNED_LISTED = 10;
+// Candidates shown below the suggestions in the breakdown table.
+const MAX_RUNNERS_UP = 3;
+
+const SIGNAL_COLUMNS = [
+  ["commits", "Commits"],
+  ["lines", "Changed lines"],
+  ["codeowners", "CODEOWNERS"],
+  ["latency", "Latency"],
+  ["crossRepo", "Cross-repo"],
+  ["timezone", "Timezone"],
+  ["required", "Required"]
+];
+const MULTIPLIER_COLUMNS = [
+  ["load", "Load"],
+  ["flaky", "Flaky"],
+  ["unavailable", "Unavailable"]
+];
 
 // -------------------- Utilities --------------------
 
@@ -9,10 +37,6 @@ function isBotLogin(login) {
   return login.endsWith("[bot]") || l.includes("bot") || l === "github-actions";
 }
 
-function parseCommaSeparated(s) {
-  return (s || "").split(",").map((x) => x.trim().toLowerCase()).filter(Boolean);
-}
-
 function daysAgoISO(days) {
   const d = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
   return d.toISOString();
@@ -44,105 +68,19 @@ async function topCommitAuthorsForPath(octokit, { owner, repo, path, sinceISO, p
   return authors;
 }
 
-// -------------------- CODEOWNERS support --------------------
-
-const CODEOWNERS_CANDIDATE_PATHS = [
-  ".github/CODEOWNERS",
-  "CODEOWNERS",
-  "docs/CODEOWNERS"
-];
-
-async function tryFetchFileText(octokit, { owner, repo, path, ref }) {
-  try {
-    const resp = await octokit.rest.repos.getContent({ owner, repo, path, ref });
-    if (!resp.data || Array.isArray(resp.data) || !resp.data.content) return null;
-    const buf = Buffer.from(resp.data.content, resp.data.encoding || "base64");
-    return buf.toString("utf8");
-  } catch {
-    return null;
-  }
-}
-
-function parseCodeowners(text) {
-  const rules = [];
-  if (!text) return rules;
-
-  const lines = text.split(/\r?\n/);
-  for (const raw of lines) {
-    const line = raw.trim();
-    if (!line || line.startsWith("#")) continue;
-
-    const noInline = line.split(/\s+#/)[0].trim();
-    if (!noInline) continue;
-
-    const parts = noInline.split(/\s+/).filter(Boolean);
-    if (parts.length < 2) continue;
-
-    const pattern = parts[0];
-    const rawOwners = parts.slice(1).map((o) => o.replace(/^@/, "").trim()).filter(Boolean);
-    const owners = rawOwners.filter((o) => !isBotLogin(o));
-    const teams = rawOwners.filter((o) => o.includes("/"));
-
-    if (!owners.length) continue;
-    rules.push({ pattern, owners, teams });
-  }
-
-  return rules;
-}
-
-function normalizeCodeownersPattern(pattern) {
-  if (pattern.startsWith("/")) return pattern.slice(1);
-  return `**/${pattern}`;
-}
-
-function ownersForFile(codeownersRules, filePath) {
-  if (!codeownersRules.length) return [];
-  let matchedOwners = [];
-
-  for (const r of codeownersRules) {
-    const pat = normalizeCodeownersPattern(r.pattern);
-    if (minimatch(filePath, pat, { dot: true, nocase: false, matchBase: true })) {
-      matchedOwners = r.owners;
-    }
-  }
-  return matchedOwners;
-}
-
 // -------------------- Review latency scoring --------------------
 
-async function computeReviewerLatencyHours(octokit, { owner, repo, lookbackDays, maxClosedPRs = 20 }) {
+function latencyFromPullRecords(records, lookbackDays) {
   const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
-
-  const pulls = await octokit.rest.pulls.list({
-    owner, repo, state: "closed", sort: "updated", direction: "desc", per_page: maxClosedPRs
-  });
-
   const perReviewer = new Map();
 
-  for (const pr of pulls.data) {
-    if (!pr.merged_at && !pr.closed_at) continue;
-    const createdAt = new Date(pr.created_at);
+  for (const pr of records) {
+    const createdAt = new Date(pr.createdAt);
     if (createdAt < since) continue;
 
-    let reviewsResp;
-    try {
-      reviewsResp = await octokit.rest.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 });
-    } catch {
-      continue;
-    }
-
-    const firstByUser = new Map();
-    for (const r of reviewsResp.data) {
-      const login = r.user?.login;
-      if (!login || isBotLogin(login)) continue;
-      if (!r.submitted_at) continue;
-      const t = new Date(r.submitted_at);
-      const existing = firstByUser.get(login);
-      if (!existing || t < existing) firstByUser.set(login, t);
-    }
-
-    for (const [login, t] of firstByUser.entries()) {
-      const hours = (t.getTime() - createdAt.getTime()) / (1000 * 60 * 60);
+    for (const [login, submittedAt] of Object.entries(pr.firstReviews)) {
+      if (isBotLogin(login)) continue;
+      const hours = (new Date(submittedAt).getTime() - createdAt.getTime()) / (1000 * 60 * 60);
       if (!Number.isFinite(hours) || hours < 0) continue;
       if (!perReviewer.has(login)) perReviewer.set(login, []);
       perReviewer.get(login).push(hours);
@@ -157,6 +95,11 @@ async function computeReviewerLatencyHours(octokit, { owner, repo, lookbackDays,
   return out;
 }
 
+async function computeReviewerLatencyHours(octokit, { owner, repo, lookbackDays, maxClosedPRs = 20, pullRecords = null }) {
+  const records = pullRecords || await fetchClosedPullRecords(octokit, { owner, repo, maxPRs: maxClosedPRs });
+  return latencyFromPullRecords(records, lookbackDays);
+}
+
 function latencyBonusHours(medianHours) {
   if (medianHours == null) return 0;
   if (medianHours <= 4) return 6;
@@ -169,10 +112,10 @@ function latencyBonusHours(medianHours) {
 // -------------------- Review load --------------------
 
 async function computeOpenReviewCounts(octokit, { owner, repo }) {
-  const pulls = await octokit.rest.pulls.list({ owner, repo, state: "open", per_page: 100 });
+  const pulls = await listOpenPulls(octokit, { owner, repo, max: MAX_OPEN_PRS });
 
   const counts = new Map();
-  for (const pr of pulls.data) {
+  for (const pr of pulls) {
     for (const reviewer of (pr.requested_reviewers || [])) {
       const login = reviewer.login;
       if (!login) continue;
@@ -188,34 +131,23 @@ function applyLoadPenalty(score, openReviews) {
 
 // -------------------- Reviewer exclusion --------------------
 
+// Read outside the request budget: running out must not let an excluded
+// person be suggested or requested.
 async function fetchExcludedReviewers(octokit, { owner, repo, ref, inputExcludes }) {
   const excluded = new Set(inputExcludes.map((s) => s.toLowerCase()));
 
   try {
-    const text = await tryFetchFileText(octokit, { owner, repo, path: ".github/reviewer-config.yml", ref });
+    const text = await withoutBudget(() => tryFetchFileText(octokit, { owner, repo, path: ".github/reviewer-config.yml", ref }));
     if (text) {
-      const inlineMatch = text.match(/exclude:\s*\[([^\]]+)\]/);
-      if (inlineMatch) {
-        inlineMatch[1].split(",").forEach((u) => {
-          const trimmed = u.trim().replace(/^['"]|['"]$/g, "").toLowerCase();
-          if (trimmed) excluded.add(trimmed);
-        });
-      } else {
-        const lines = text.split(/\r?\n/);
-        let inExclude = false;
-        for (const line of lines) {
-          if (/^exclude:/i.test(line.trim())) { inExclude = true; continue; }
-          if (inExclude && /^\s+-\s+/.test(line)) {
-            const user = line.replace(/^\s+-\s+/, "").trim().replace(/^['"]|['"]$/g, "").toLowerCase();
-            if (user) excluded.add(user);
-          } else if (inExclude && /^\S/.test(line)) {
-            inExclude = false;
-          }
-        }
+      const doc = parseYaml(text);
+      const list = Array.isArray(doc?.exclude) ? doc.exclude : [];
+      for (const u of list) {
+        const trimmed = String(u ?? "").trim().replace(/^@/, "").toLowerCase();
+        if (trimmed) excluded.add(trimmed);
       }
     }
-  } catch {
-    // best effort
+  } catch (e) {
+    core.warning(`Could not parse .github/reviewer-config.yml (ignoring): ${e?.message || e}`);
   }
 
   return excluded;
@@ -238,8 +170,9 @@ async function fetchCrossRepoExpertise(octokit, { owner, repos, filePaths, since
           if (!login || isBotLogin(login)) continue;
           expertise.set(login, (expertise.get(login) || 0) + 1);
         }
-      } catch {
+      } catch (e) {
         // repo may not exist or file may not exist
+        rethrowIfBudgetExhausted(e);
       }
     }
   }
@@ -268,39 +201,25 @@ function timezoneBonus(avgHourUTC, preferredOffsetHours) {
 
 // -------------------- Flaky reviewer detection --------------------
 
-async function detectFlakyReviewers(octokit, { owner, repo, lookbackDays, maxPRs = 30 }) {
+async function detectFlakyReviewers(octokit, { owner, repo, lookbackDays, maxPRs = 30, pullRecords = null }) {
   const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
-  const pulls = await octokit.rest.pulls.list({
-    owner, repo, state: "closed", sort: "updated", direction: "desc", per_page: maxPRs
-  });
+  const records = pullRecords || await fetchClosedPullRecords(octokit, { owner, repo, maxPRs });
 
   const requestedCounts = new Map();
   const reviewedCounts = new Map();
 
-  for (const pr of pulls.data) {
-    if (new Date(pr.created_at) < since) continue;
-
-    let reviewsResp;
-    try {
-      reviewsResp = await octokit.rest.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 });
-    } catch {
-      continue;
-    }
-
-    const reviewed = new Set();
-    for (const r of reviewsResp.data) {
-      const login = r.user?.login;
-      if (login) reviewed.add(login.toLowerCase());
-    }
+  for (const pr of records) {
+    if (new Date(pr.createdAt) < since) continue;
 
+    const reviewed = new Set(Object.keys(pr.firstReviews).map((l) => l.toLowerCase()));
     for (const login of reviewed) {
       reviewedCounts.set(login, (reviewedCounts.get(login) || 0) + 1);
     }
   }
 
-  const openPulls = await octokit.rest.pulls.list({ owner, repo, state: "open", per_page: 50 });
+  const openPulls = await listOpenPulls(octokit, { owner, repo, max: MAX_OPEN_PRS });
 
-  for (const pr of openPulls.data) {
+  for (const pr of openPulls) {
     for (const reviewer of (pr.requested_reviewers || [])) {
       const login = (reviewer.login || "").toLowerCase();
       if (login) requestedCounts.set(login, (requestedCounts.get(login) || 0) + 1);
@@ -320,36 +239,64 @@ async function detectFlakyReviewers(octokit, { owner, repo, lookbackDays, maxPRs
 
 // -------------------- Ranking --------------------
 
-function rankCandidates({ fileAuthors, prAuthor, codeownersRules, changedFiles, latencyMap, weights, crossRepoExpertise, timezoneData, requiredReviewers }) {
+/**
+ * Scores candidates from every signal. Each result carries the points per
+ * signal in `contributions` (commits, lines, codeowners, latency, crossRepo,
+ * timezone, required) and an empty `multipliers`, which analyzeReviewers fills
+ * in when it scales the score afterwards (load, flaky, unavailable).
+ */
+function rankCandidates({ fileAuthors, lineOwners = new Map(), prAuthor, codeownersRules, teamMembers = new Map(), changedFiles, latencyMap, weights, crossRepoExpertise, timezoneData, requiredReviewers }) {
   const scores = new Map();
   const reasons = new Map();
+  const contributions = new Map();
 
-  const add = (login, pts, reason) => {
+  const add = (login, pts, reason, signal) => {
     if (!login || isBotLogin(login)) return;
     if (login === prAuthor) return;
     scores.set(login, (scores.get(login) || 0) + pts);
     if (!reasons.has(login)) reasons.set(login, new Set());
     if (reason) reasons.get(login).add(reason);
+    if (!contributions.has(login)) contributions.set(login, {});
+    const c = contributions.get(login);
+    c[signal] = (c[signal] || 0) + pts;
   };
 
   for (const { authors } of fileAuthors) {
     const max = Math.min(authors.length, 10);
     for (let i = 0; i < max; i++) {
       const w = Math.max(1, 3 - i);
-      add(authors[i], w * weights.commitHistory, "recent commits");
+      add(authors[i], w * weights.commitHistory, "recent commits", "commits");
+    }
+  }
+
+  // Up to 3 points per file for writing all of its changed lines.
+  if (weights.blame > 0) {
+    for (const [login, { lines, share }] of lineOwners) {
+      add(login, Math.max(1, Math.round(share * 3 * weights.blame)), `wrote ${lines} changed line${lines === 1 ? "" : "s"}`, "lines");
     }
   }
 
   if (weights.codeowners > 0 && codeownersRules.length) {
     const seen = new Set();
     for (const f of changedFiles) {
+      // Users listed directly count fully; members of an owning team count
+      // half, and a team whose members are unknown is suggested as the team.
       const owners = ownersForFile(codeownersRules, f);
-      for (const o of owners) {
-        if (!o) continue;
+      const direct = owners.filter((o) => !teamMembers.has(o));
+      const viaTeams = owners.filter((o) => teamMembers.has(o))
+        .flatMap((team) => teamMembers.get(team).map((login) => ({ login, team })));
+
+      for (const o of direct) {
         const key = `${o}::${f}`;
         if (seen.has(key)) continue;
         seen.add(key);
-        add(o, weights.codeowners, "CODEOWNERS");
+        add(o, weights.codeowners, "CODEOWNERS", "codeowners");
+      }
+      for (const { login, team } of viaTeams) {
+        const key = `${login}::${f}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        add(login, weights.codeowners / 2, `CODEOWNERS (@${team})`, "codeowners");
       }
     }
   }
@@ -357,20 +304,20 @@ function rankCandidates({ fileAuthors, prAuthor, codeownersRules, changedFiles,
   if (weights.latency > 0 && latencyMap && latencyMap.size) {
     for (const [login, medHrs] of latencyMap.entries()) {
       const bonus = latencyBonusHours(medHrs) * weights.latency;
-      if (bonus > 0) add(login, bonus, `fast reviewer (~${Math.round(medHrs)}h median)`);
+      if (bonus > 0) add(login, bonus, `fast reviewer (~${Math.round(medHrs)}h median)`, "latency");
     }
   }
 
   if (crossRepoExpertise && crossRepoExpertise.size > 0) {
     for (const [login, count] of crossRepoExpertise) {
-      add(login, Math.min(count, 5), "cross-repo expertise");
+      add(login, Math.min(count, 5), "cross-repo expertise", "crossRepo");
     }
   }
 
   if (timezoneData && timezoneData.preferredOffset != null) {
     for (const [login, avgHour] of (timezoneData.avgHours || new Map())) {
       const bonus = timezoneBonus(avgHour, timezoneData.preferredOffset);
-      if (bonus > 0) add(login, bonus, "timezone match");
+      if (bonus > 0) add(login, bonus, "timezone match", "timezone");
     }
   }
 
@@ -378,8 +325,8 @@ function rankCandidates({ fileAuthors, prAuthor, codeownersRules, changedFiles,
     for (const login of requiredReviewers) {
       if (login === prAuthor || isBotLogin(login)) continue;
       const current = scores.get(login) || 0;
-      if (current === 0) add(login, 10, "required reviewer");
-      else add(login, 5, "required reviewer");
+      if (current === 0) add(login, 10, "required reviewer", "required");
+      else add(login, 5, "required reviewer", "required");
     }
   }
 
@@ -388,7 +335,9 @@ function rankCandidates({ fileAuthors, prAuthor, codeownersRules, changedFiles,
     .map(([login, score]) => ({
       login,
       score,
-      reasons: [...(reasons.get(login) || [])]
+      reasons: [...(reasons.get(login) || [])],
+      contributions: contributions.get(login),
+      multipliers: {}
     }));
 }
 
@@ -423,9 +372,144 @@ function computeConfidence({ ranked, changedFiles, codeownersRules, fileAuthors
   return "Low";
 }
 
+// -------------------- Auto-request --------------------
+
+function selectReviewersToRequest({ suggestions, count, prAuthor, requestedReviewers, requestedTeams, reviews }) {
+  const alreadyRequested = new Set((requestedReviewers || []).map((u) => (u.login || "").toLowerCase()));
+  const alreadyRequestedTeams = new Set((requestedTeams || []).map((t) => (t.slug || "").toLowerCase()));
+  const alreadyReviewed = new Set((reviews || []).map((r) => (r.user?.login || "").toLowerCase()));
+
+  const reviewers = [];
+  const teamReviewers = [];
+  const skipped = [];
+
+  for (const s of suggestions) {
+    if (reviewers.length + teamReviewers.length >= count) break;
+    const login = s.login.toLowerCase();
+
+    if (isTeamOwner(login)) {
+      const slug = login.split("/").pop();
+      if (alreadyRequestedTeams.has(slug)) {
+        skipped.push({ login: s.login, reason: "already requested" });
+        continue;
+      }
+      teamReviewers.push(slug);
+      continue;
+    }
+
+    if (prAuthor && login === prAuthor.toLowerCase()) continue;
+    if (alreadyRequested.has(login)) {
+      skipped.push({ login: s.login, reason: "already requested" });
+      continue;
+    }
+    if (alreadyReviewed.has(login)) {
+      skipped.push({ login: s.login, reason: "already reviewed" });
+      continue;
+    }
+    reviewers.push(s.login);
+  }
+
+  return { reviewers, teamReviewers, skipped };
+}
+
+async function requestSuggestedReviewers(octokit, { owner, repo, prNumber, prAuthor, suggestions, count, requestedReviewers, requestedTeams, reviews, dryRun }) {
+  const selection = selectReviewersToRequest({ suggestions, count, prAuthor, requestedReviewers, requestedTeams, reviews });
+  const { reviewers, teamReviewers, skipped } = selection;
+
+  for (const s of skipped) {
+    core.info(`Auto-request: skipping ${s.login} (${s.reason})`);
+  }
+
+  if (reviewers.length === 0 && teamReviewers.length === 0) {
+    core.info("Auto-request: no new reviewers to request.");
+    return { ...selection, requested: false, dryRun };
+  }
+
+  const targets = [...reviewers.map((u) => `@${u}`), ...teamReviewers.map((t) => `@${owner}/${t}`)];
+
+  if (dryRun) {
+    core.info(`Auto-request (dry-run): would request review from ${targets.join(", ")}`);
+    return { ...selection, requested: false, dryRun };
+  }
+
+  try {
+    await octokit.rest.pulls.requestReviewers({
+      owner, repo, pull_number: prNumber,
+      reviewers, team_reviewers: teamReviewers
+    });
+    core.info(`Auto-request: requested review from ${targets.join(", ")}`);
+    return { ...selection, requested: true, dryRun };
+  } catch (e) {
+    reportSignalError("Auto-request", e);
+    return { ...selection, requested: false, dryRun, error: e?.message || String(e) };
+  }
+}
+
 // -------------------- Comment formatting --------------------
 
-function formatReviewerSection({ suggestions, lookbackDays, maxFiles, fileCount, confidence, teamCoverage, showBreakdown }) {
+function formatAutoRequest(autoRequest, owner) {
+  if (!autoRequest) return "";
+  const targets = [
+    ...autoRequest.reviewers.map((u) => `@${u}`),
+    ...autoRequest.teamReviewers.map((t) => `@${owner}/${t}`)
+  ];
+
+  if (targets.length === 0) return "\n\n**Review requests:** no new reviewers requested (top suggestions already requested or reviewed).\n";
+  if (autoRequest.dryRun) return `\n\n**Review requests:** would request ${targets.join(", ")} (dry-run).\n`;
+  if (!autoRequest.requested) return `\n\n**Review requests:** could not request ${targets.join(", ")}.\n`;
+  return `\n\n**Review requests:** requested ${targets.join(", ")}.\n`;
+}
+
+function formatUnownedFiles(files) {
+  if (!files?.length) return "";
+  const listed = files.slice(0, MAX_UNOWNED_LISTED).map((f) => `- \`${f}\``);
+  if (files.length > MAX_UNOWNED_LISTED) listed.push(`- … ${files.length - MAX_UNOWNED_LISTED} more`);
+  return `\n\n**Files without a code owner:**\n${listed.join("\n")}\n`;
+}
+
+// Penalized candidates carry the reason inline; excluded ones are listed.
+function formatUnavailable(unavailable, mode) {
+  if (mode === "penalize" || !unavailable?.length) return "";
+  return "\n\n**Skipped (unavailable):**\n" + unavailable.map((u) => `- @${u.login} — ${u.reason}`).join("\n") + "\n";
+}
+
+function formatPoints(n) {
+  return n ? String(Math.round(n * 10) / 10) : "-";
+}
+
+/**
+ * Points per signal, then the multipliers applied afterwards; the score is
+ * the sum times the multipliers, rounded at each step. Only columns with a
+ * value are shown. Runners-up show what the suggestions were up against.
+ */
+function formatBreakdown(suggestions, runnersUp = []) {
+  const rows = [...suggestions, ...runnersUp];
+  const signals = SIGNAL_COLUMNS.filter(([key]) => rows.some((r) => r.contributions?.[key]));
+  const multipliers = MULTIPLIER_COLUMNS.filter(([key]) => rows.some((r) => r.multipliers?.[key] != null));
+
+  const header = ["Reviewer", ...signals.map(([, label]) => label), ...multipliers.map(([, label]) => label), "Score"];
+  const align = ["---", ...header.slice(1).map(() => "--:")];
+  const lines = [`| ${header.join(" | ")} |`, `|${align.join("|")}|`];
+
+  for (const r of rows) {
+    const notes = [r.loadBalanced && "load balancing", runnersUp.includes(r) && "not picked"].filter(Boolean);
+    const cells = [
+      `@${r.login}${notes.length ? ` _(${notes.join(", ")})_` : ""}`,
+      ...signals.map(([key]) => formatPoints(r.contributions?.[key])),
+      ...multipliers.map(([key]) => {
+        const factor = r.multipliers?.[key];
+        if (factor == null) return "-";
+        return `×${factor}${key === "load" && r.openReviews != null ? ` (${r.openReviews} open)` : ""}`;
+      }),
+      `**${r.score}**`
+    ];
+    lines.push(`| ${cells.join(" | ")} |`);
+  }
+
+  return `\n\n**Signal breakdown:**\n\n${lines.join("\n")}\n`;
+}
+
+function formatReviewerSection({ suggestions, runnersUp, lookbackDays, maxFiles, fileCount, confidence, teamCoverage, unownedFiles: unowned, unavailableReviewers, unavailableMode, loadBalance, showBreakdown, autoRequest, owner }) {
   let section = `#### Reviewer Suggestions\n\n`;
   section +=
     `Based on:\n` +
@@ -435,6 +519,9 @@ function formatReviewerSection({ suggestions, lookbackDays, maxFiles, fileCount,
 
   if (suggestions.length === 0) {
     section += "No strong candidates found (not enough history, no CODEOWNERS match, or only bots/author matched).\n";
+    section += formatLoadBalancing(loadBalance);
+    section += formatUnavailable(unavailableReviewers, unavailableMode);
+    section += formatUnownedFiles(unowned);
     return section;
   }
 
@@ -447,6 +534,8 @@ function formatReviewerSection({ suggestions, lookbackDays, maxFiles, fileCount,
     .join("\n");
 
   section += list;
+  section += formatLoadBalancing(loadBalance);
+  section += formatUnavailable(unavailableReviewers, unavailableMode);
 
   if (teamCoverage && teamCoverage.length > 0) {
     section += "\n\n**Team coverage:**\n" +
@@ -455,27 +544,25 @@ function formatReviewerSection({ suggestions, lookbackDays, maxFiles, fileCount,
   }
 
   if (showBreakdown && suggestions.length > 0) {
-    section += "\n\n**Signal breakdown:**\n\n";
-    section += "| Reviewer | Score | Signals |\n";
-    section += "|----------|------:|--------|\n";
-    for (const s of suggestions) {
-      const signals = s.reasons?.join(", ") || "-";
-      const loadStr = s.openReviews != null ? ` (${s.openReviews} open)` : "";
-      section += `| @${s.login} | ${s.score}${loadStr} | ${signals} |\n`;
-    }
+    section += formatBreakdown(suggestions, runnersUp);
   }
 
+  section += formatUnownedFiles(unowned);
+  section += formatAutoRequest(autoRequest, owner);
+
   section += `\n_Notes: excludes PR author and bots; heuristic-based._\n`;
   return section;
 }
 
 // -------------------- Main reviewer analysis --------------------
 
-async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHeadSha, files, reviews, config }) {
+async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHeadSha, prBaseSha, files, reviews, config }) {
   const {
-    maxReviewers, lookbackDays, maxFiles, useCodeowners, useLatency, latencyPRs,
+    maxReviewers, lookbackDays, maxFiles, useCodeowners, useBlame, useLatency, latencyPRs,
     penalizeLoad, excludeReviewersInput, crossRepoList, requiredReviewers,
-    preferTimezone, showBreakdown, detectFlaky
+    preferTimezone, showBreakdown, detectFlaky, historyCache,
+    useStatus, availabilityFile, unavailableMode,
+    loadBalancing, reviewerPool, balanceDays, rotationCache
   } = config;
 
   const changedFiles = files.map((f) => f.filename);
@@ -484,31 +571,91 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
   const weights = {
     commitHistory: 1,
     codeowners: useCodeowners ? 4 : 0,
+    blame: useBlame ? 2 : 0,
     latency: useLatency ? 1 : 0
   };
 
-  // CODEOWNERS
+  // CODEOWNERS (GitHub applies the file from the base branch)
   let codeownersRules = [];
+  let teamMembers = new Map();
+  let unowned = null;
   if (useCodeowners) {
-    const ref = prHeadSha || undefined;
+    const ref = prBaseSha || prHeadSha || undefined;
     let codeownersText = null;
-    for (const p of CODEOWNERS_CANDIDATE_PATHS) {
-      codeownersText = await tryFetchFileText(octokit, { owner, repo, path: p, ref });
-      if (codeownersText) break;
+    try {
+      codeownersText = await fetchCodeownersText(octokit, { owner, repo, ref });
+    } catch (e) {
+      reportSignalError("CODEOWNERS", e);
     }
     codeownersRules = parseCodeowners(codeownersText);
     core.info(`CODEOWNERS rules loaded: ${codeownersRules.length}`);
+
+    if (codeownersText) {
+      unowned = unownedFiles(codeownersRules, changedFiles);
+      try {
+        teamMembers = await fetchTeamMembers(octokit, { codeownersRules, filePaths: changedFiles.slice(0, maxFiles) });
+      } catch (e) {
+        reportSignalError("CODEOWNERS teams", e);
+      }
+    }
   }
 
   // Commit history
   const fileAuthors = [];
   const filesToCheck = changedFiles.slice(0, maxFiles);
-  for (const path of filesToCheck) {
+  if (historyCache) {
     try {
-      const authors = await topCommitAuthorsForPath(octokit, { owner, repo, path, sinceISO });
+      await refreshCommitHistory(octokit, { owner, repo, cache: historyCache, paths: filesToCheck, sinceISO });
+    } catch (e) {
+      reportSignalError("commit history refresh", e);
+    }
+    for (const path of filesToCheck) {
+      const authors = cachedCommitsForPath(historyCache, path, sinceISO)
+        .map((c) => c.login)
+        .filter((login) => login && !isBotLogin(login));
       if (authors.length) fileAuthors.push({ path, authors });
+    }
+  } else {
+    for (const path of filesToCheck) {
+      try {
+        const authors = await topCommitAuthorsForPath(octokit, { owner, repo, path, sinceISO });
+        if (authors.length) fileAuthors.push({ path, authors });
+      } catch (e) {
+        if (isBudgetExhausted(e)) {
+          markSkipped("commit history (partial)");
+          break;
+        }
+        core.warning(`Failed commit lookup for ${path}: ${e?.message || e}`);
+      }
+    }
+  }
+
+  // Line ownership. Patches are relative to the merge base, which usually
+  // matches the base commit closely enough for the touched lines.
+  let lineOwners = new Map();
+  if (useBlame && prBaseSha) {
+    try {
+      const checked = new Set(filesToCheck);
+      let withPatches = files.filter((f) => checked.has(f.filename));
+      if (!withPatches.some((f) => f.patch != null)) {
+        withPatches = await listAllPRFiles(octokit, { owner, repo, pull_number: prNumber, maxFiles });
+      }
+      lineOwners = await fetchLineOwnership(octokit, { owner, repo, ref: prBaseSha, files: withPatches });
+      core.info(`Line owners found: ${lineOwners.size}`);
+    } catch (e) {
+      reportSignalError("line ownership", e);
+    }
+  }
+
+  // Closed PR reviews (shared by latency and flaky detection when cached)
+  let pullRecords = null;
+  if (historyCache && (useLatency || detectFlaky)) {
+    try {
+      pullRecords = await refreshPullRecords(octokit, {
+        owner, repo, cache: historyCache, maxPRs: Math.max(clamp(latencyPRs, 5, 50), 30)
+      });
     } catch (e) {
-      core.warning(`Failed commit lookup for ${path}: ${e?.message || e}`);
+      reportSignalError("closed PR review refresh", e);
     }
   }
 
@@ -517,14 +664,25 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
   if (useLatency) {
     try {
       latencyMap = await computeReviewerLatencyHours(octokit, {
-        owner, repo, lookbackDays, maxClosedPRs: clamp(latencyPRs, 5, 50)
+        owner, repo, lookbackDays, maxClosedPRs: clamp(latencyPRs, 5, 50), pullRecords
       });
       core.info(`Latency entries computed: ${latencyMap.size}`);
     } catch (e) {
-      core.warning(`Latency computation failed (continuing): ${e?.message || e}`);
+      reportSignalError("review latency", e);
     }
   }
 
+  // Load balancing pool (resolved here so availability covers its members)
+  let pool = null;
+  if (loadBalancing !== "off") {
+    try {
+      pool = await resolveReviewerPool(octokit, { entries: reviewerPool, teamMembers });
+    } catch (e) {
+      reportSignalError("reviewer pool", e);
+    }
+    if (!pool) core.info("Load balancing: no reviewer pool (set reviewer_pool or own the changed files through a CODEOWNERS team).");
+  }
+
   // Exclusions
   const excluded = await fetchExcludedReviewers(octokit, {
     owner, repo, ref: prHeadSha, inputExcludes: excludeReviewersInput
@@ -542,7 +700,7 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
       });
       core.info(`Cross-repo expertise entries: ${crossRepoExpertise.size}`);
     } catch (e) {
-      core.warning(`Cross-repo expertise failed (continuing): ${e?.message || e}`);
+      reportSignalError("cross-repo expertise", e);
     }
   }
 
@@ -552,6 +710,14 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
   if (preferredOffset != null) {
     const avgHours = new Map();
     for (const { path: fp } of fileAuthors) {
+      if (historyCache) {
+        for (const c of cachedCommitsForPath(historyCache, fp, sinceISO).slice(0, 10)) {
+          if (!c.login || !c.date) continue;
+          if (!avgHours.has(c.login)) avgHours.set(c.login, []);
+          avgHours.get(c.login).push(new Date(c.date).getUTCHours());
+        }
+        continue;
+      }
       try {
         const resp = await octokit.rest.repos.listCommits({
           owner, repo, path: fp, since: sinceISO, per_page: 10
@@ -563,8 +729,12 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
           if (!avgHours.has(login)) avgHours.set(login, []);
           avgHours.get(login).push(new Date(date).getUTCHours());
         }
-      } catch {
+      } catch (e) {
         // best effort
+        if (isBudgetExhausted(e)) {
+          markSkipped("timezone (partial)");
+          break;
+        }
       }
     }
     const avgHourMap = new Map();
@@ -580,18 +750,18 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
   let flakyReviewers = new Set();
   if (detectFlaky) {
     try {
-      flakyReviewers = await detectFlakyReviewers(octokit, { owner, repo, lookbackDays });
+      flakyReviewers = await detectFlakyReviewers(octokit, { owner, repo, lookbackDays, pullRecords });
       if (flakyReviewers.size > 0) {
         core.info(`Flaky reviewers detected: ${[...flakyReviewers].join(", ")}`);
       }
     } catch (e) {
-      core.warning(`Flaky detection failed (continuing): ${e?.message || e}`);
+      reportSignalError("flaky reviewer detection", e);
     }
   }
 
   // Rank + pick
   let ranked = rankCandidates({
-    fileAuthors, prAuthor, codeownersRules, changedFiles: filesToCheck,
+    fileAuthors, lineOwners, prAuthor, codeownersRules, teamMembers, changedFiles: filesToCheck,
     latencyMap, weights, crossRepoExpertise, timezoneData, requiredReviewers
   });
 
@@ -604,11 +774,12 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
       for (const r of ranked) {
         const openReviews = loadCounts.get(r.login) || 0;
         r.openReviews = openReviews;
+        r.multipliers.load = Math.round(applyLoadPenalty(1, openReviews) * 100) / 100;
         r.score = Math.round(applyLoadPenalty(r.score, openReviews));
       }
       ranked.sort((a, b) => b.score - a.score);
     } catch (e) {
-      core.warning(`Load computation failed (continuing): ${e?.message || e}`);
+      reportSignalError("review load", e);
     }
   }
 
@@ -616,6 +787,7 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
   if (flakyReviewers.size > 0) {
     for (const r of ranked) {
       if (flakyReviewers.has(r.login.toLowerCase())) {
+        r.multipliers.flaky = 0.5;
         r.score = Math.round(r.score * 0.5);
         r.reasons = [...(r.reasons || []), "flaky reviewer"];
       }
@@ -623,37 +795,84 @@ async function analyzeReviewers(octokit, { owner, repo, prNumber, prAuthor, prHe
     ranked.sort((a, b) => b.score - a.score);
   }
 
-  const suggestions = ranked.slice(0, maxReviewers);
+  // Availability: unavailable candidates are dropped (the next ones move up)
+  // or penalized. Those who would otherwise have been suggested are listed.
+  let unavailable = new Map();
+  let unavailableReviewers = [];
+  if (useStatus || availabilityFile) {
+    const logins = new Set([...ranked.map((r) => r.login), ...(pool?.members || []).map((m) => m.login)]);
+    unavailable = await fetchUnavailable(octokit, {
+      owner, repo, ref: prBaseSha || prHeadSha,
+      logins: [...logins].filter((l) => !isTeamOwner(l)),
+      path: availabilityFile, useStatus
+    });
+    const wouldSuggest = new Set(ranked.slice(0, maxReviewers).map((r) => r.login));
+    unavailableReviewers = ranked
+      .filter((r) => wouldSuggest.has(r.login) && unavailable.has(r.login.toLowerCase()))
+      .map((r) => ({ login: r.login, reason: unavailable.get(r.login.toLowerCase()) }));
+
+    if (unavailableMode === "penalize") {
+      for (const r of ranked) {
+        const reason = unavailable.get(r.login.toLowerCase());
+        if (!reason) continue;
+        r.multipliers.unavailable = 0.25;
+        r.score = Math.round(r.score * 0.25);
+        r.reasons = [...(r.reasons || []), `unavailable: ${reason}`];
+      }
+      ranked.sort((a, b) => b.score - a.score);
+    } else {
+      ranked = ranked.filter((r) => !unavailable.has(r.login.toLowerCase()));
+    }
+    if (unavailable.size > 0) core.info(`Unavailable reviewers: ${[...unavailable.keys()].join(", ")}`);
+  }
+
+  // Confidence reflects the expertise ranking, before load balancing.
   const confidence = computeConfidence({ ranked, changedFiles: filesToCheck, codeownersRules, fileAuthors });
 
-  // Team-level coverage
-  let teamCoverage = [];
-  if (codeownersRules.length > 0) {
-    const allTeams = new Set();
-    for (const r of codeownersRules) {
-      for (const t of (r.teams || [])) allTeams.add(t);
+  // Load balancing: the pool's pick leads the suggestions
+  let loadBalance = null;
+  if (pool) {
+    const eligible = (login) => {
+      const l = login.toLowerCase();
+      return l !== (prAuthor || "").toLowerCase() && !isBotLogin(login) && !excluded.has(l) && !unavailable.has(l);
+    };
+    try {
+      loadBalance = await balanceReviewers(octokit, {
+        owner, repos: [repo, ...crossRepoList], prNumber, pool,
+        mode: loadBalancing, days: balanceDays, cache: rotationCache, eligible
+      });
+    } catch (e) {
+      reportSignalError("load balancing", e);
     }
-
-    const suggestionLogins = new Set(suggestions.map((s) => s.login.toLowerCase()));
-    for (const team of allTeams) {
-      const teamMembers = new Set();
-      for (const r of codeownersRules) {
-        if ((r.teams || []).includes(team)) {
-          for (const o of r.owners) teamMembers.add(o.toLowerCase());
-        }
-      }
-      const count = [...teamMembers].filter((m) => suggestionLogins.has(m)).length;
-      if (teamMembers.size > 0) {
-        teamCoverage.push({ team, count, total: suggestions.length });
-      }
+    if (loadBalance?.pick) {
+      const pick = loadBalance.pick.toLowerCase();
+      const entry = ranked.find((r) => r.login.toLowerCase() === pick) ||
+        { login: loadBalance.pick, score: 0, reasons: [], contributions: {}, multipliers: {} };
+      entry.reasons = [...(entry.reasons || []), "picked by load balancing"];
+      entry.loadBalanced = true;
+      ranked = [entry, ...ranked.filter((r) => r !== entry)];
+      core.info(`Load balancing: picked ${loadBalance.pick} from ${loadBalance.pool}`);
     }
   }
 
-  return { suggestions, confidence, teamCoverage, lookbackDays, maxFiles, fileCount: changedFiles.length, showBreakdown };
+  const suggestions = ranked.slice(0, maxReviewers);
+  const runnersUp = ranked.slice(maxReviewers, maxReviewers + MAX_RUNNERS_UP);
+
+  // Team-level coverage: how many suggestions belong to each owning team
+  const teamCoverage = [];
+  const suggestionLogins = new Set(suggestions.map((s) => s.login.toLowerCase()));
+  for (const [team, members] of teamMembers) {
+    const count = members.filter((m) => suggestionLogins.has(m.toLowerCase())).length;
+    if (members.length > 0) teamCoverage.push({ team, count, total: suggestions.length });
+  }
+
+  return { suggestions, runnersUp, confidence, teamCoverage, unownedFiles: unowned, unavailableReviewers, unavailableMode, loadBalance, lookbackDays, maxFiles, fileCount: changedFiles.length, showBreakdown, owner };
 }
 
 export {
-  parseCommaSeparated,
+  rankCandidates,
+  selectReviewersToRequest,
   analyzeReviewers,
+  requestSuggestedReviewers,
   formatReviewerSection
 };
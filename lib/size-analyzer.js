@@ -1,5 +1,6 @@
 import { minimatch } from "minimatch";
 import { fmt } from "./utils.js";
+import { formatSplitPlan } from "./split-planner.js";
 
 const SIZE_ORDER = ["XS", "S", "M", "L", "XL"];
 
@@ -16,13 +17,6 @@ function maxBucket(a, b) {
 
 const DEFAULT_IGNORE = "dist/**,*.min.js,*.min.css,package-lock.json,yarn.lock,pnpm-lock.yaml,*.generated.*";
 
-function parseIgnorePatterns(raw) {
-  return raw
-    .split(",")
-    .map((p) => p.trim())
-    .filter(Boolean);
-}
-
 function filterIgnoredFiles(files, patterns) {
   if (patterns.length === 0) return { counted: files, ignoredCount: 0 };
 
@@ -41,7 +35,61 @@ function filterIgnoredFiles(files, patterns) {
   return { counted, ignoredCount };
 }
 
-function topChangedDirectories(files, maxDepth, limit) {
+// -------------------- Path rules --------------------
+
+const RULE_THRESHOLD_KEYS = {
+  xs_lines: "xsLines",
+  s_lines: "sLines",
+  m_lines: "mLines",
+  l_lines: "lLines",
+  xs_files: "xsFiles",
+  s_files: "sFiles",
+  m_files: "mFiles",
+  l_files: "lFiles"
+};
+
+function validateSizeRules(rules) {
+  if (!Array.isArray(rules)) return "must be a list of path rules.";
+
+  for (const [i, rule] of rules.entries()) {
+    const where = `path rule #${i + 1}`;
+    if (rule == null || typeof rule !== "object" || Array.isArray(rule)) return `${where} must be a mapping.`;
+    for (const key of Object.keys(rule)) {
+      if (!["pattern", "weight", "thresholds"].includes(key)) return `${where} has unknown key "${key}" (expected pattern, weight, thresholds).`;
+    }
+    if (typeof rule.pattern !== "string" || !rule.pattern.trim()) return `${where} needs a "pattern" glob.`;
+    if (rule.weight !== undefined && (typeof rule.weight !== "number" || !(rule.weight >= 0))) return `${where} "weight" must be a number >= 0.`;
+    if (rule.thresholds !== undefined) {
+      if (rule.thresholds == null || typeof rule.thresholds !== "object" || Array.isArray(rule.thresholds)) return `${where} "thresholds" must be a mapping.`;
+      for (const [key, value] of Object.entries(rule.thresholds)) {
+        if (!RULE_THRESHOLD_KEYS[key]) return `${where} has unknown threshold "${key}" (expected ${Object.keys(RULE_THRESHOLD_KEYS).join(", ")}).`;
+        if (!Number.isInteger(value) || value < 1) return `${where} threshold "${key}" must be a positive integer.`;
+      }
+    }
+  }
+
+  return null;
+}
+
+function matchSizeRule(filename, rules) {
+  return rules.find((r) => minimatch(filename, r.pattern, { matchBase: true, dot: true })) || null;
+}
+
+function ruleThresholds(rule, thresholds) {
+  const merged = { ...thresholds };
+  for (const [key, value] of Object.entries(rule.thresholds || {})) {
+    merged[RULE_THRESHOLD_KEYS[key]] = value;
+  }
+  return merged;
+}
+
+function fileWeight(rule) {
+  return rule?.weight ?? 1;
+}
+
+// -------------------- Directory table --------------------
+
+function topChangedDirectories(files, maxDepth, limit, rules = []) {
   const dirMap = new Map();
 
   for (const f of files) {
@@ -49,25 +97,35 @@ function topChangedDirectories(files, maxDepth, limit) {
     const dir = segments.length <= maxDepth
       ? segments.slice(0, -1).join("/") || "."
       : segments.slice(0, maxDepth).join("/");
-    const prev = dirMap.get(dir) || { files: 0, lines: 0 };
+    const prev = dirMap.get(dir) || { files: 0, lines: 0, weightedLines: 0 };
+    const lines = (f.additions || 0) + (f.deletions || 0);
     prev.files += 1;
-    prev.lines += (f.additions || 0) + (f.deletions || 0);
+    prev.lines += lines;
+    prev.weightedLines += lines * fileWeight(matchSizeRule(f.filename, rules));
     dirMap.set(dir, prev);
   }
 
   return [...dirMap.entries()]
-    .sort((a, b) => b[1].lines - a[1].lines)
+    .sort((a, b) => b[1].weightedLines - a[1].weightedLines)
     .slice(0, limit)
-    .map(([dir, stats]) => ({ dir, ...stats }));
+    .map(([dir, stats]) => ({ dir, ...stats, weightedLines: Math.round(stats.weightedLines) }));
 }
 
 function formatDirectoryTable(dirs) {
   if (dirs.length === 0) return "";
+  const weighted = dirs.some((d) => d.weightedLines !== d.lines);
   let table = "\n**Top changed directories:**\n\n";
-  table += "| Directory | Files | Lines |\n";
-  table += "|-----------|------:|------:|\n";
+  if (weighted) {
+    table += "| Directory | Files | Lines | Weighted |\n";
+    table += "|-----------|------:|------:|---------:|\n";
+  } else {
+    table += "| Directory | Files | Lines |\n";
+    table += "|-----------|------:|------:|\n";
+  }
   for (const d of dirs) {
-    table += `| \`${d.dir}\` | ${d.files} | ${fmt(d.lines)} |\n`;
+    table += weighted
+      ? `| \`${d.dir}\` | ${d.files} | ${fmt(d.lines)} | ${fmt(d.weightedLines)} |\n`
+      : `| \`${d.dir}\` | ${d.files} | ${fmt(d.lines)} |\n`;
   }
   return table;
 }
@@ -131,19 +189,8 @@ async function applySizeLabel(octokit, { owner, repo, prNumber, size }) {
   }
 }
 
-function analyzeSize({ files, thresholds }) {
-  let additions = 0;
-  let deletions = 0;
-
-  for (const f of files) {
-    additions += f.additions || 0;
-    deletions += f.deletions || 0;
-  }
-
-  const fileCount = files.length;
-  const totalChanged = additions + deletions;
-
-  const lineBucket = bucketByThresholds(totalChanged, [
+function classifyCounts(lines, fileCount, thresholds) {
+  const lineBucket = bucketByThresholds(lines, [
     { name: "XS", max: thresholds.xsLines },
     { name: "S", max: thresholds.sLines },
     { name: "M", max: thresholds.mLines },
@@ -157,15 +204,57 @@ function analyzeSize({ files, thresholds }) {
     { name: "L", max: thresholds.lFiles }
   ]);
 
-  const size = maxBucket(lineBucket, fileBucket);
-  const topDirs = topChangedDirectories(files, 2, 5);
+  return maxBucket(lineBucket, fileBucket);
+}
+
+function analyzeSize({ files, thresholds, rules = [] }) {
+  let additions = 0;
+  let deletions = 0;
+
+  // Files matched by a rule with its own thresholds are classified as a
+  // separate group; everything else shares the default thresholds.
+  const groups = new Map();
+  const defaultGroup = { pattern: null, thresholds, lines: 0, files: 0 };
+  groups.set(null, defaultGroup);
+
+  for (const f of files) {
+    additions += f.additions || 0;
+    deletions += f.deletions || 0;
+
+    const rule = matchSizeRule(f.filename, rules);
+    const w = fileWeight(rule);
+    let group = defaultGroup;
+    if (rule?.thresholds) {
+      if (!groups.has(rule)) groups.set(rule, { pattern: rule.pattern, thresholds: ruleThresholds(rule, thresholds), lines: 0, files: 0 });
+      group = groups.get(rule);
+    }
+    group.lines += ((f.additions || 0) + (f.deletions || 0)) * w;
+    group.files += w;
+  }
+
+  const fileCount = files.length;
+  const totalChanged = additions + deletions;
 
-  return { additions, deletions, fileCount, totalChanged, size, topDirs };
+  let weightedChanged = 0;
+  let size = "XS";
+  const pathGroups = [];
+  for (const g of groups.values()) {
+    const lines = Math.round(g.lines);
+    const groupSize = classifyCounts(lines, Math.round(g.files), g.thresholds);
+    weightedChanged += lines;
+    size = maxBucket(size, groupSize);
+    if (g.pattern) pathGroups.push({ pattern: g.pattern, lines, files: Math.round(g.files), size: groupSize });
+  }
+
+  const topDirs = topChangedDirectories(files, 2, 5, rules);
+  const weighted = rules.length > 0 && (weightedChanged !== totalChanged || pathGroups.length > 0);
+
+  return { additions, deletions, fileCount, totalChanged, weightedChanged, weighted, pathGroups, size, topDirs };
 }
 
-function formatSizeSection({ additions, deletions, fileCount, totalChanged, size, ignoredCount, topDirs, files }) {
+function formatSizeSection({ additions, deletions, fileCount, totalChanged, weightedChanged, weighted, pathGroups = [], size, ignoredCount, topDirs, files, splitPlan }) {
   const dirSection = formatDirectoryTable(topDirs);
-  const splitSection = buildSplitRecommendation(files, size);
+  const splitSection = splitPlan ? formatSplitPlan(splitPlan) : buildSplitRecommendation(files, size);
 
   let section = "";
   section += `#### Size Summary\n\n`;
@@ -173,21 +262,33 @@ function formatSizeSection({ additions, deletions, fileCount, totalChanged, size
   section += `Lines added: **+${fmt(additions)}**  \n`;
   section += `Lines removed: **-${fmt(deletions)}**  \n`;
   section += `Total changed: **${fmt(totalChanged)}**\n\n`;
+  if (weighted) {
+    section += `Weighted total: **${fmt(weightedChanged)}** _(path rules applied)_\n\n`;
+  }
   section += `Size: **${size}**\n`;
   if (ignoredCount > 0) {
     section += `_(${ignoredCount} generated/lock file${ignoredCount === 1 ? "" : "s"} excluded)_\n`;
   }
+  if (pathGroups.length > 0) {
+    section += "\n**Path rules with own thresholds:**\n";
+    for (const g of pathGroups) {
+      section += `- \`${g.pattern}\`: ${fmt(g.lines)} weighted lines in ${g.files} file${g.files === 1 ? "" : "s"} → **${g.size}**\n`;
+    }
+  }
   section += dirSection;
   section += splitSection;
-  section += `\n_Notes: size is based on the larger of file-count bucket and line-change bucket._\n`;
+  section += weighted
+    ? `\n_Notes: size is based on the larger of file-count bucket and line-change bucket, using weighted counts; path rules with their own thresholds are classified separately and the largest bucket wins._\n`
+    : `\n_Notes: size is based on the larger of file-count bucket and line-change bucket._\n`;
 
   return section;
 }
 
 export {
   DEFAULT_IGNORE,
-  parseIgnorePatterns,
   filterIgnoredFiles,
+  validateSizeRules,
+  classifyCounts,
   analyzeSize,
   formatSizeSection,
   applySizeLabel
@@ -0,0 +1,424 @@
+import * as core from "@actions/core";
+import { fmt, tryFetchFileText } from "./utils.js";
+import { reportSignalError, rethrowIfBudgetExhausted } from "./api-client.js";
+
+const CODE_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts", ".py"];
+const RESOLVE_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"];
+
+// -------------------- Path helpers --------------------
+
+function dirname(path) {
+  const i = path.lastIndexOf("/");
+  return i === -1 ? "" : path.slice(0, i);
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf("/") + 1);
+}
+
+function extname(path) {
+  const base = basename(path);
+  const i = base.lastIndexOf(".");
+  return i <= 0 ? "" : base.slice(i);
+}
+
+function joinPath(dir, rel) {
+  const out = dir ? dir.split("/") : [];
+  for (const seg of rel.split("/")) {
+    if (seg === "" || seg === ".") continue;
+    if (seg === "..") out.pop();
+    else out.push(seg);
+  }
+  return out.join("/");
+}
+
+function topDir(path) {
+  const segments = path.split("/");
+  return segments.length <= 2 ? (segments.slice(0, -1).join("/") || ".") : segments.slice(0, 2).join("/");
+}
+
+function fileLines(f) {
+  return (f.additions || 0) + (f.deletions || 0);
+}
+
+// -------------------- Import parsing --------------------
+
+function parseImportSpecifiers(text, path) {
+  const specs = new Set();
+  if (!text) return specs;
+
+  if (extname(path) === ".py") {
+    for (const m of text.matchAll(/^\s*from\s+(\.*[\w.]*)\s+import\s/gm)) specs.add(`py:${m[1]}`);
+    for (const m of text.matchAll(/^\s*import\s+([\w.]+)/gm)) specs.add(`py:${m[1]}`);
+    return specs;
+  }
+
+  const patterns = [
+    /\bimport\s+(?:[^'"`;]*?\s+from\s+)?["']([^"']+)["']/g,
+    /\bexport\s+[^'"`;]*?\s+from\s+["']([^"']+)["']/g,
+    /\bimport\(\s*["']([^"']+)["']\s*\)/g,
+    /\brequire\(\s*["']([^"']+)["']\s*\)/g
+  ];
+  for (const re of patterns) {
+    for (const m of text.matchAll(re)) specs.add(m[1]);
+  }
+  return specs;
+}
+
+function resolveSpecifier(spec, fromPath, changedSet) {
+  if (spec.startsWith("py:")) {
+    const mod = spec.slice(3);
+    const dots = mod.match(/^\.*/)[0].length;
+    const rest = mod.slice(dots).replace(/\./g, "/");
+    let base;
+    if (dots > 0) {
+      let dir = dirname(fromPath);
+      for (let i = 1; i < dots; i++) dir = dirname(dir);
+      base = joinPath(dir, rest);
+    } else {
+      base = rest;
+    }
+    const candidates = [`${base}.py`, `${base}/__init__.py`];
+    for (const c of candidates) {
+      if (changedSet.has(c)) return c;
+      // Absolute imports are relative to some source root; match by suffix.
+      if (dots === 0) {
+        for (const f of changedSet) {
+          if (f.endsWith(`/${c}`)) return f;
+        }
+      }
+    }
+    return null;
+  }
+
+  if (!spec.startsWith(".")) return null;
+  const base = joinPath(dirname(fromPath), spec);
+  const candidates = [base];
+  for (const ext of RESOLVE_EXTENSIONS) candidates.push(base + ext);
+  for (const ext of RESOLVE_EXTENSIONS) candidates.push(`${base}/index${ext}`);
+  // TypeScript sources are often imported with a .js extension.
+  if (/\.[cm]?js$/.test(base)) {
+    const stem = base.replace(/\.[cm]?js$/, "");
+    candidates.push(`${stem}.ts`, `${stem}.tsx`, `${stem}.mts`, `${stem}.cts`);
+  }
+  return candidates.find((c) => changedSet.has(c)) || null;
+}
+
+// -------------------- Test/source pairing --------------------
+
+function testSubjectKey(path) {
+  const base = basename(path);
+  const ext = extname(base);
+  let stem = base.slice(0, base.length - ext.length);
+
+  const isTest = /[._-](test|spec)$/.test(stem) || /^test_/.test(stem) || /_test$/.test(stem)
+    || /(^|\/)(__tests__|tests?|spec)\//.test(path);
+  stem = stem.replace(/[._-](test|spec)$/, "").replace(/^test_/, "").replace(/_test$/, "");
+
+  return { isTest, key: stem.toLowerCase() };
+}
+
+function sharedPrefixSegments(a, b) {
+  const sa = a.split("/");
+  const sb = b.split("/");
+  let n = 0;
+  while (n < sa.length - 1 && n < sb.length - 1 && sa[n] === sb[n]) n++;
+  return n;
+}
+
+function findTestPairs(paths) {
+  const sources = new Map();
+  const tests = [];
+  for (const p of paths) {
+    const { isTest, key } = testSubjectKey(p);
+    if (isTest) tests.push({ path: p, key });
+    else {
+      if (!sources.has(key)) sources.set(key, []);
+      sources.get(key).push(p);
+    }
+  }
+
+  // A test pairs with the same-named source closest to it in the tree.
+  const pairs = [];
+  for (const t of tests) {
+    let best = null;
+    let bestShared = -1;
+    for (const s of sources.get(t.key) || []) {
+      const shared = sharedPrefixSegments(t.path, s);
+      if (shared > bestShared) { best = s; bestShared = shared; }
+    }
+    if (best) pairs.push([t.path, best]);
+  }
+  return pairs;
+}
+
+// -------------------- Union-find --------------------
+
+function createUnionFind(items) {
+  const parent = new Map(items.map((i) => [i, i]));
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(ra, rb);
+  };
+  return { find, union };
+}
+
+function stronglyConnected(nodes, edges) {
+  let index = 0;
+  const stack = [];
+  const onStack = new Set();
+  const idx = new Map();
+  const low = new Map();
+  const components = [];
+
+  const visit = (v) => {
+    idx.set(v, index);
+    low.set(v, index);
+    index++;
+    stack.push(v);
+    onStack.add(v);
+    for (const w of edges.get(v) || []) {
+      if (!idx.has(w)) {
+        visit(w);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+      } else if (onStack.has(w)) {
+        low.set(v, Math.min(low.get(v), idx.get(w)));
+      }
+    }
+    if (low.get(v) === idx.get(v)) {
+      const comp = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        comp.push(w);
+      } while (w !== v);
+      components.push(comp);
+    }
+  };
+
+  for (const n of nodes) {
+    if (!idx.has(n)) visit(n);
+  }
+  return components;
+}
+
+// -------------------- Planning --------------------
+
+/**
+ * Groups changed files into proposed PRs. `imports` maps a file to the changed
+ * files it imports; `coChanges` is a list of [a, b] pairs that were
+ * historically changed together.
+ */
+function planSplit({ files, imports, coChanges = [], maxGroups = 6 }) {
+  const paths = files.map((f) => f.filename);
+  const byPath = new Map(files.map((f) => [f.filename, f]));
+  const uf = createUnionFind(paths);
+  const reasons = new Map(paths.map((p) => [p, new Set()]));
+
+  for (const [a, b] of findTestPairs(paths)) {
+    uf.union(a, b);
+    reasons.get(a).add("test/source pair");
+    reasons.get(b).add("test/source pair");
+  }
+
+  for (const [a, b] of coChanges) {
+    if (!byPath.has(a) || !byPath.has(b)) continue;
+    uf.union(a, b);
+    reasons.get(a).add("co-changed");
+    reasons.get(b).add("co-changed");
+  }
+
+  // Import cycles cannot land separately.
+  for (const comp of stronglyConnected(paths, imports)) {
+    for (let i = 1; i < comp.length; i++) {
+      uf.union(comp[0], comp[i]);
+      reasons.get(comp[i]).add("import cycle");
+    }
+  }
+
+  // Files with no coupling at all are grouped by directory.
+  const coupled = new Set();
+  for (const p of paths) {
+    if (reasons.get(p).size > 0 || (imports.get(p) || []).length > 0) coupled.add(p);
+  }
+  for (const targets of imports.values()) {
+    for (const t of targets) coupled.add(t);
+  }
+  const loneByDir = new Map();
+  for (const p of paths) {
+    const root = uf.find(p);
+    if (coupled.has(p) || root !== p) continue;
+    const dir = topDir(p);
+    if (loneByDir.has(dir)) uf.union(p, loneByDir.get(dir));
+    else loneByDir.set(dir, p);
+  }
+
+  const groupsByRoot = new Map();
+  for (const p of paths) {
+    const root = uf.find(p);
+    if (!groupsByRoot.has(root)) groupsByRoot.set(root, { files: [], lines: 0, reasons: new Set() });
+    const g = groupsByRoot.get(root);
+    g.files.push(p);
+    g.lines += fileLines(byPath.get(p));
+    for (const r of reasons.get(p)) g.reasons.add(r);
+  }
+
+  let groups = [...groupsByRoot.values()].sort((a, b) => b.lines - a.lines);
+  if (groups.length > maxGroups) {
+    const rest = groups.slice(maxGroups - 1);
+    groups = groups.slice(0, maxGroups - 1);
+    groups.push({
+      files: rest.flatMap((g) => g.files),
+      lines: rest.reduce((n, g) => n + g.lines, 0),
+      reasons: new Set(["remaining files"])
+    });
+  }
+
+  const groupOf = new Map();
+  groups.forEach((g, i) => g.files.forEach((f) => groupOf.set(f, i)));
+
+  // Group A must land before group B when B imports something from A.
+  const dependsOn = groups.map(() => new Set());
+  for (const [from, targets] of imports) {
+    for (const to of targets) {
+      const gFrom = groupOf.get(from);
+      const gTo = groupOf.get(to);
+      if (gFrom != null && gTo != null && gFrom !== gTo) dependsOn[gFrom].add(gTo);
+    }
+  }
+
+  // Kahn's algorithm; smaller groups first among those that are ready.
+  const order = [];
+  const placed = new Set();
+  while (order.length < groups.length) {
+    const ready = groups
+      .map((_, i) => i)
+      .filter((i) => !placed.has(i) && [...dependsOn[i]].every((d) => placed.has(d)))
+      .sort((a, b) => groups[a].lines - groups[b].lines);
+    // Dependency cycles between merged groups: fall back to size order.
+    const next = ready.length ? ready[0] : groups.findIndex((_, i) => !placed.has(i));
+    placed.add(next);
+    order.push(next);
+  }
+
+  const position = new Map(order.map((g, i) => [g, i + 1]));
+  return order.map((gi) => ({
+    order: position.get(gi),
+    files: groups[gi].files,
+    lines: groups[gi].lines,
+    dependsOn: [...dependsOn[gi]].map((d) => position.get(d)).sort((a, b) => a - b),
+    reasons: [...groups[gi].reasons]
+  }));
+}
+
+// -------------------- GitHub fetch helpers --------------------
+
+async function fetchImportGraph(octokit, { owner, repo, ref, files, maxFiles }) {
+  const changedSet = new Set(files.map((f) => f.filename));
+  const imports = new Map();
+
+  const candidates = files
+    .filter((f) => f.status !== "removed" && CODE_EXTENSIONS.includes(extname(f.filename)))
+    .slice(0, maxFiles);
+
+  for (const f of candidates) {
+    const text = await tryFetchFileText(octokit, { owner, repo, path: f.filename, ref });
+    const targets = new Set();
+    for (const spec of parseImportSpecifiers(text, f.filename)) {
+      const resolved = resolveSpecifier(spec, f.filename, changedSet);
+      if (resolved && resolved !== f.filename) targets.add(resolved);
+    }
+    if (targets.size) imports.set(f.filename, [...targets]);
+  }
+
+  return imports;
+}
+
+async function fetchCoChanges(octokit, { owner, repo, files, sinceISO, maxFiles, minShared = 2 }) {
+  const commitsByFile = new Map();
+
+  for (const f of files.slice(0, maxFiles)) {
+    try {
+      const resp = await octokit.rest.repos.listCommits({
+        owner, repo, path: f.filename, since: sinceISO, per_page: 30
+      });
+      commitsByFile.set(f.filename, new Set(resp.data.map((c) => c.sha)));
+    } catch (e) {
+      // file may be new
+      rethrowIfBudgetExhausted(e);
+    }
+  }
+
+  const pairs = [];
+  const entries = [...commitsByFile.entries()];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      let shared = 0;
+      for (const sha of entries[i][1]) {
+        if (entries[j][1].has(sha)) shared++;
+      }
+      if (shared >= minShared) pairs.push([entries[i][0], entries[j][0]]);
+    }
+  }
+  return pairs;
+}
+
+async function buildSplitPlan(octokit, { owner, repo, headSha, files, lookbackDays, maxFiles }) {
+  const sinceISO = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+
+  let imports = new Map();
+  try {
+    imports = await fetchImportGraph(octokit, { owner, repo, ref: headSha, files, maxFiles });
+  } catch (e) {
+    reportSignalError("split planner imports", e);
+  }
+
+  let coChanges = [];
+  try {
+    coChanges = await fetchCoChanges(octokit, { owner, repo, files, sinceISO, maxFiles });
+  } catch (e) {
+    reportSignalError("split planner co-change history", e);
+  }
+
+  const plan = planSplit({ files, imports, coChanges });
+  core.info(`Split planner: ${plan.length} group(s), ${imports.size} file(s) with imports, ${coChanges.length} co-change pair(s).`);
+  return plan;
+}
+
+// -------------------- Comment formatting --------------------
+
+function formatSplitPlan(plan) {
+  if (!plan || plan.length < 2) {
+    return "\n**Split plan:** This PR is large, but its files are tightly coupled (imports, tests, co-change history), so there is no obvious split.\n";
+  }
+
+  const lines = [];
+  lines.push("\n**Split plan:** This PR is large — these groups could land as separate PRs, in this order:\n");
+  for (const g of plan) {
+    const shown = g.files.slice(0, 4).map((f) => `\`${f}\``).join(", ");
+    const more = g.files.length > 4 ? ` and ${g.files.length - 4} more` : "";
+    // "#2" would autolink to issue 2, so groups are referred to by word.
+    const deps = g.dependsOn.length ? ` — after group${g.dependsOn.length === 1 ? "" : "s"} ${g.dependsOn.join(", ")}` : "";
+    const why = g.reasons.length ? ` _(${g.reasons.join(", ")})_` : "";
+    lines.push(`${g.order}. ${fmt(g.lines)} lines, ${g.files.length} file${g.files.length === 1 ? "" : "s"}${deps}: ${shown}${more}${why}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+export {
+  parseImportSpecifiers,
+  resolveSpecifier,
+  planSplit,
+  buildSplitPlan,
+  formatSplitPlan
+};
@@ -1,5 +1,13 @@
 import * as core from "@actions/core";
-import { clampInt, upsertComment } from "./utils.js";
+import { clampInt, upsertComment, listOpenPulls, mapWithConcurrency } from "./utils.js";
+import { isBudgetExhausted, markSkipped, reportSignalError, withoutBudget, formatSkippedNote } from "./api-client.js";
+import { checkMergeRequirements } from "./merge-requirements.js";
+import { filterIgnoredFiles, analyzeSize } from "./size-analyzer.js";
+import { needsActivity, fetchActivity, escalatePR } from "./escalation.js";
+import { REVIEW_THREAD_FIELDS, toReviewThread, loadPullRequestData } from "./pr-data.js";
+import { compareWithBase, summarizeBaseDrift, findLikelyConflicts, formatLikelyConflicts } from "./base-branch.js";
+import { fetchLinkedIssues, formatLinkedIssues } from "./linked-issues.js";
+import { summarizeChecks, diagnoseFailingChecks, formatCheckDiagnosis, findFlakyChecks } from "./checks.js";
 
 // -------------------- Localization --------------------
 
@@ -10,16 +18,42 @@ const TRANSLATIONS = {
     draft: "Draft",
     mergeable: "Mergeable",
     likelyConflicts: "Likely conflicting files",
+    baseBranch: "Base branch",
+    commitsBehind: "commit(s) behind",
+    upToDateWith: "up to date with",
+    lastSynced: "last synced",
+    filesAlsoChangedOn: "of this PR's files also changed on",
+    changedOn: "changed on",
+    by: "by",
+    more: "more",
     checks: "Checks",
     noChecks: "no checks reported",
     failing: "failing",
     running: "running",
+    stale: "stale",
     totals: "totals",
+    ciDiagnosis: "CI failure diagnosis",
+    alsoFailingOn: "also failing on",
+    notThisPR: "probably not caused by this PR",
+    knownFlaky: "known flaky — try re-running",
+    linkedIssues: "Linked issues",
+    issueOpen: "open",
+    issueClosed: "closed",
+    labels: "labels",
+    milestone: "milestone",
+    alreadyClosed: "already closed — does this PR still matter?",
+    assignedTo: "assigned to",
+    prMilestone: "PR milestone:",
     reviews: "Reviews",
     approvals: "approvals",
+    required: "required",
     changesRequested: "changes requested",
     requested: "requested",
     none: "none",
+    unresolvedThreads: "unresolved threads",
+    outdated: "outdated",
+    oldestThread: "oldest unresolved thread",
+    waitingOn: "waiting on",
     blocking: "What's blocking this PR",
     nothingBlocking: "Nothing obvious. This PR looks ready to merge.",
     nextAction: "Next action expected from",
@@ -36,16 +70,42 @@ const TRANSLATIONS = {
     draft: "Entwurf",
     mergeable: "Mergebar",
     likelyConflicts: "Wahrscheinlich konfliktbehaftete Dateien",
+    baseBranch: "Basis-Branch",
+    commitsBehind: "Commit(s) hinter",
+    upToDateWith: "aktuell mit",
+    lastSynced: "zuletzt synchronisiert",
+    filesAlsoChangedOn: "Dateien dieser PR auch geandert auf",
+    changedOn: "geandert auf",
+    by: "von",
+    more: "weitere",
     checks: "Checks",
     noChecks: "keine Checks gemeldet",
     failing: "fehlgeschlagen",
     running: "laufend",
+    stale: "veraltet",
+    ciDiagnosis: "CI-Fehlerdiagnose",
+    alsoFailingOn: "schlagt auch fehl auf",
+    notThisPR: "vermutlich nicht durch diese PR verursacht",
+    knownFlaky: "bekannt instabil — erneut ausfuhren",
     totals: "gesamt",
+    linkedIssues: "Verknupfte Issues",
+    issueOpen: "offen",
+    issueClosed: "geschlossen",
+    labels: "Labels",
+    milestone: "Meilenstein",
+    alreadyClosed: "bereits geschlossen — ist diese PR noch relevant?",
+    assignedTo: "zugewiesen an",
+    prMilestone: "PR-Meilenstein:",
     reviews: "Reviews",
     approvals: "Genehmigungen",
+    required: "erforderlich",
     changesRequested: "Anderungen angefordert",
     requested: "angefragt",
     none: "keine",
+    unresolvedThreads: "offene Diskussionen",
+    outdated: "veraltet",
+    oldestThread: "alteste offene Diskussion",
+    waitingOn: "wartet auf",
     blocking: "Was diese PR blockiert",
     nothingBlocking: "Nichts Offensichtliches. Diese PR sieht bereit zum Mergen aus.",
     nextAction: "Nachste Aktion erwartet von",
@@ -62,16 +122,42 @@ const TRANSLATIONS = {
     draft: "Borrador",
     mergeable: "Fusionable",
     likelyConflicts: "Archivos probablemente en conflicto",
+    baseBranch: "Rama base",
+    commitsBehind: "commit(s) por detras de",
+    upToDateWith: "al dia con",
+    lastSynced: "ultima sincronizacion",
+    filesAlsoChangedOn: "archivos de este PR tambien modificados en",
+    changedOn: "modificado en",
+    by: "por",
+    more: "mas",
     checks: "Checks",
     noChecks: "sin checks reportados",
     failing: "fallando",
     running: "ejecutando",
+    stale: "obsoletos",
+    ciDiagnosis: "Diagnostico de fallos de CI",
+    alsoFailingOn: "tambien falla en",
+    notThisPR: "probablemente no causado por este PR",
+    knownFlaky: "inestable conocido — intente volver a ejecutar",
     totals: "totales",
+    linkedIssues: "Issues vinculados",
+    issueOpen: "abierto",
+    issueClosed: "cerrado",
+    labels: "etiquetas",
+    milestone: "hito",
+    alreadyClosed: "ya cerrado — sigue siendo relevante este PR?",
+    assignedTo: "asignado a",
+    prMilestone: "hito del PR:",
     reviews: "Revisiones",
     approvals: "aprobaciones",
+    required: "requeridas",
     changesRequested: "cambios solicitados",
     requested: "solicitados",
     none: "ninguno",
+    unresolvedThreads: "hilos sin resolver",
+    outdated: "desactualizados",
+    oldestThread: "hilo sin resolver mas antiguo",
+    waitingOn: "esperando a",
     blocking: "Que bloquea este PR",
     nothingBlocking: "Nada obvio. Este PR parece listo para fusionar.",
     nextAction: "Proxima accion esperada de",
@@ -101,28 +187,9 @@ function fmtAgeDays(d) {
   return `${Math.floor(d)} days ago`;
 }
 
-function summarizeChecks(runs) {
-  const counts = { success: 0, failure: 0, neutral: 0, cancelled: 0, skipped: 0, timed_out: 0, action_required: 0, stale: 0, in_progress: 0, queued: 0, unknown: 0 };
-  for (const r of runs) {
-    const c = r.conclusion || (r.status === "completed" ? "unknown" : r.status);
-    if (counts[c] == null) counts.unknown++;
-    else counts[c]++;
-  }
-
-  const failing = runs
-    .filter((r) => (r.conclusion || "") === "failure")
-    .slice(0, 5)
-    .map((r) => r.name);
-
-  const inProgress = runs
-    .filter((r) => r.status && r.status !== "completed")
-    .slice(0, 5)
-    .map((r) => r.name);
-
-  return { counts, failing, inProgress };
-}
+// -------------------- Classification --------------------
 
-function classifyState({ pr, checksSummary, reviewsSummary, staleDays, ageDays }) {
+function classifyState({ pr, checksSummary, reviewsSummary, threadsSummary = null, unmetRequirements = [], ciDiagnosis = null, conflicts = null, baseDrift = null, descriptionFindings = [], staleDays, ageDays }) {
   const blockers = [];
   const nextActors = new Set();
   const prAuthor = pr.user?.login;
@@ -133,19 +200,32 @@ function classifyState({ pr, checksSummary, reviewsSummary, staleDays, ageDays }
   }
 
   if (pr.mergeable === false) {
-    blockers.push("PR has **merge conflicts**.");
+    const likely = conflicts?.files.map((f) => `\`${f.filename}\``) || [];
+    if (conflicts?.more) likely.push(`${conflicts.more} more`);
+    blockers.push(likely.length
+      ? `PR has **merge conflicts**, likely in ${likely.join(", ")} — rebase on \`${conflicts.base}\`.`
+      : "PR has **merge conflicts**.");
     if (prAuthor) nextActors.add(`@${prAuthor}`);
   }
 
-  if (checksSummary.failing.length) {
-    blockers.push(`CI failing: ${checksSummary.failing.map((n) => `\`${n}\``).join(", ")}`);
-    if (prAuthor) nextActors.add(`@${prAuthor}`);
+  const flaky = new Set(checksSummary.flaky || []);
+  const failing = checksSummary.failing.filter((n) => !flaky.has(n));
+  if (failing.length) {
+    const onBase = new Set(ciDiagnosis?.failingOnBase || []);
+    const names = failing.map((n) => `\`${n}\`${onBase.has(n) ? ` (also failing on \`${ciDiagnosis.base}\`)` : ""}`);
+    blockers.push(`CI failing: ${names.join(", ")}`);
+    if (prAuthor && failing.some((n) => !onBase.has(n))) nextActors.add(`@${prAuthor}`);
   }
 
   if (checksSummary.inProgress.length) {
     blockers.push(`CI still running: ${checksSummary.inProgress.map((n) => `\`${n}\``).join(", ")}`);
   }
 
+  if (checksSummary.stale?.length) {
+    blockers.push(`CI results stale for the current head: ${checksSummary.stale.map((n) => `\`${n}\``).join(", ")} — re-run needed.`);
+    if (prAuthor) nextActors.add(`@${prAuthor}`);
+  }
+
   if (reviewsSummary.requestedChanges > 0) {
     blockers.push(`Changes requested (${reviewsSummary.requestedChanges}).`);
     if (prAuthor) nextActors.add(`@${prAuthor}`);
@@ -154,12 +234,48 @@ function classifyState({ pr, checksSummary, reviewsSummary, staleDays, ageDays }
     for (const u of reviewsSummary.requestedReviewers) {
       nextActors.add(u.startsWith("@") ? u : `@${u}`);
     }
-  } else if (reviewsSummary.approvals === 0) {
+  } else if (reviewsSummary.approvals === 0 && !unmetRequirements.some((r) => r.kind === "approvals")) {
     blockers.push("No approvals yet.");
   }
 
+  for (const r of unmetRequirements) {
+    blockers.push(r.text);
+    for (const a of r.actors) nextActors.add(a);
+  }
+
+  if (descriptionFindings.length) {
+    blockers.push(`Description incomplete — ${descriptionFindings.map((f) => f.text).join(" ")}`);
+    if (prAuthor) nextActors.add(`@${prAuthor}`);
+  }
+
+  const mustUpdate = baseDrift?.upToDateRequired && baseDrift.behindBy > 0;
+  if (mustUpdate) {
+    blockers.push(`Branch is ${baseDrift.behindBy} commit(s) behind \`${baseDrift.base}\`, which requires branches to be up to date before merging.`);
+    if (prAuthor) nextActors.add(`@${prAuthor}`);
+  }
+
+  if (threadsSummary?.unresolved > 0) {
+    const waiting = Object.keys(threadsSummary.waitingOn);
+    const suffix = waiting.length ? ` — waiting on ${waiting.map((u) => `@${u}`).join(", ")}` : "";
+    blockers.push(`${threadsSummary.unresolved} unresolved review thread(s)${suffix}.`);
+    for (const u of waiting) nextActors.add(`@${u}`);
+  }
+
   if (ageDays >= staleDays) blockers.push(`No PR activity in **${Math.floor(ageDays)} days**.`);
 
+  // Flaky failures and an old base are listed last and only point at the
+  // author when nobody else is expected to act.
+  if (baseDrift?.outdated && !mustUpdate) {
+    blockers.push(`Branch last synced with \`${baseDrift.base}\` ${Math.floor(baseDrift.syncedDaysAgo)} days ago (${baseDrift.behindBy} commit(s) behind) — update it so CI runs against the current base.`);
+    if (prAuthor && nextActors.size === 0) nextActors.add(`@${prAuthor}`);
+  }
+
+  const flakyFailing = checksSummary.failing.filter((n) => flaky.has(n));
+  if (flakyFailing.length) {
+    blockers.push(`Known flaky check(s) failing: ${flakyFailing.map((n) => `\`${n}\``).join(", ")} — try re-running.`);
+    if (prAuthor && nextActors.size === 0) nextActors.add(`@${prAuthor}`);
+  }
+
   return { blockers, nextActors: [...nextActors] };
 }
 
@@ -189,14 +305,77 @@ function summarizeTeamReviews(pr) {
   return teamLines;
 }
 
+// -------------------- Review threads --------------------
+
+const REVIEW_THREADS_QUERY = `
+  query ReviewThreads($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REVIEW_THREAD_FIELDS} }
+        }
+      }
+    }
+  }`;
+
+async function fetchReviewThreads(octokit, { owner, repo, number, maxPages = 5 }) {
+  const threads = [];
+  let cursor = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await octokit.graphql(REVIEW_THREADS_QUERY, { owner, repo, number, cursor });
+    const conn = data?.repository?.pullRequest?.reviewThreads;
+    if (!conn) break;
+
+    threads.push(...(conn.nodes || []).map(toReviewThread));
+
+    if (!conn.pageInfo?.hasNextPage) break;
+    cursor = conn.pageInfo.endCursor;
+  }
+
+  return threads;
+}
+
+/**
+ * A thread is waiting on the PR author unless the author replied last, in
+ * which case it is back with whoever opened it.
+ */
+function threadWaitingOn(thread, prAuthor) {
+  if (thread.lastBy && thread.lastBy === prAuthor) {
+    return thread.startedBy && thread.startedBy !== prAuthor ? thread.startedBy : null;
+  }
+  return prAuthor || null;
+}
+
+function summarizeReviewThreads(threads, prAuthor) {
+  const unresolved = threads
+    .filter((t) => !t.resolved)
+    .map((t) => ({ ...t, waitingOn: threadWaitingOn(t, prAuthor) }))
+    .sort((a, b) => (a.startedAt || "").localeCompare(b.startedAt || ""));
+
+  const waitingOn = {};
+  for (const t of unresolved) {
+    if (t.waitingOn) waitingOn[t.waitingOn] = (waitingOn[t.waitingOn] || 0) + 1;
+  }
+
+  return {
+    total: threads.length,
+    unresolved: unresolved.length,
+    outdated: unresolved.filter((t) => t.outdated).length,
+    oldest: unresolved[0] || null,
+    waitingOn
+  };
+}
+
 // -------------------- Analyze a single PR --------------------
 
-async function analyzeState(octokit, { owner, repo, pr, reviews, checkRuns, staleDays, staleOverridesRaw, showReviewLatency, language }) {
+async function analyzeState(octokit, { owner, repo, pr, files, reviews, checkRuns, threads, maxChecks, staleDays, staleOverrides, showReviewLatency, reviewThreads, mergeRequirements, requirementsCache, diagnoseFailures, explainConflicts, behindBase, maxBaseAgeDays, linkedIssues: showLinkedIssues, detectFlakyChecks, flakyCheckSamples, descriptionFindings, lastActivityAt, language }) {
   const tr = getTranslator(language);
 
-  const updatedAt = new Date(pr.updated_at);
+  const activityAt = lastActivityAt || pr.updated_at;
   const now = new Date();
-  const ageDays = daysBetween(now, updatedAt);
+  const ageDays = daysBetween(now, new Date(activityAt));
 
   const latestByUser = new Map();
   for (const r of reviews) {
@@ -207,12 +386,13 @@ async function analyzeState(octokit, { owner, repo, pr, reviews, checkRuns, stal
     if (!prev || t > prev.t) latestByUser.set(login, { state: r.state, t });
   }
 
-  let approvals = 0;
+  const approvers = new Set();
   let requestedChanges = 0;
-  for (const v of latestByUser.values()) {
-    if (v.state === "APPROVED") approvals++;
+  for (const [login, v] of latestByUser) {
+    if (v.state === "APPROVED") approvers.add(login);
     if (v.state === "CHANGES_REQUESTED") requestedChanges++;
   }
+  const approvals = approvers.size;
 
   const requestedReviewers = [
     ...(pr.requested_reviewers || []).map((u) => u.login).filter(Boolean),
@@ -220,21 +400,93 @@ async function analyzeState(octokit, { owner, repo, pr, reviews, checkRuns, stal
   ];
 
   const reviewsSummary = { approvals, requestedChanges, requestedReviewers };
-  const checksSummary = summarizeChecks(checkRuns);
+  const checksSummary = summarizeChecks(checkRuns, now);
 
-  let effectiveStaleDays = staleDays;
-  if (staleOverridesRaw) {
+  if (detectFlakyChecks && checksSummary.failing.length) {
     try {
-      const overrides = JSON.parse(staleOverridesRaw);
-      const prLabels = (pr.labels || []).map((l) => l.name);
-      for (const label of prLabels) {
-        if (overrides[label] !== undefined) {
-          effectiveStaleDays = clampInt(overrides[label], staleDays, 1, 365);
-          break;
-        }
+      const flaky = await findFlakyChecks(octokit, { owner, repo, pr, names: checksSummary.failing, samples: flakyCheckSamples });
+      checksSummary.flaky = [...flaky.keys()];
+    } catch (e) {
+      reportSignalError("flaky check detection", e);
+    }
+  }
+
+  let ciDiagnosis = null;
+  if (diagnoseFailures && checksSummary.failing.length) {
+    try {
+      ciDiagnosis = await diagnoseFailingChecks(octokit, { owner, repo, pr, checkRuns, maxChecks });
+    } catch (e) {
+      reportSignalError("CI failure diagnosis", e);
+    }
+  }
+
+  const wantConflicts = explainConflicts && pr.mergeable === false;
+  let comparison = null;
+  if ((behindBase || wantConflicts) && pr.base?.ref) {
+    try {
+      comparison = await compareWithBase(octokit, { owner, repo, pr, files });
+    } catch (e) {
+      reportSignalError("base branch comparison", e);
+    }
+  }
+
+  let conflicts = null;
+  if (wantConflicts && comparison) {
+    try {
+      conflicts = await findLikelyConflicts(octokit, { owner, repo, comparison });
+    } catch (e) {
+      reportSignalError("merge conflict files", e);
+    }
+  }
+
+  let linkedIssues = null;
+  if (showLinkedIssues) {
+    try {
+      linkedIssues = await fetchLinkedIssues(octokit, { owner, repo, pr });
+    } catch (e) {
+      reportSignalError("linked issues", e);
+    }
+  }
+
+  let threadsSummary = null;
+  if (reviewThreads) {
+    try {
+      const all = threads || await fetchReviewThreads(octokit, { owner, repo, number: pr.number });
+      threadsSummary = summarizeReviewThreads(all, pr.user?.login);
+    } catch (e) {
+      reportSignalError("review threads", e);
+    }
+  }
+
+  let requirements = null;
+  let unmetRequirements = [];
+  if (mergeRequirements && pr.base?.ref) {
+    try {
+      ({ requirements, unmet: unmetRequirements } = await checkMergeRequirements(octokit, {
+        owner, repo, pr, files, approvers,
+        checkNames: checkRuns.map((r) => r.name),
+        cache: requirementsCache
+      }));
+    } catch (e) {
+      reportSignalError("branch protection", e);
+    }
+  }
+
+  const baseDrift = behindBase && comparison
+    ? summarizeBaseDrift(comparison, { now, maxBaseAgeDays, upToDateRequired: Boolean(requirements?.strictChecks) })
+    : null;
+
+  let effectiveStaleDays = staleDays;
+  if (staleOverrides) {
+    const prLabels = (pr.labels || []).map((l) => l.name);
+    for (const label of prLabels) {
+      const override = staleOverrides[label];
+      if (override !== undefined) {
+        // A mapping sets per-stage escalation days; its `stale` key is the stale threshold.
+        const days = override != null && typeof override === "object" ? override.stale : override;
+        effectiveStaleDays = clampInt(days, staleDays, 1, 365);
+        break;
       }
-    } catch {
-      core.warning("Could not parse stale_overrides as JSON; using default stale_days.");
     }
   }
 
@@ -242,6 +494,12 @@ async function analyzeState(octokit, { owner, repo, pr, reviews, checkRuns, stal
     pr,
     checksSummary,
     reviewsSummary,
+    threadsSummary,
+    unmetRequirements,
+    ciDiagnosis,
+    conflicts,
+    baseDrift,
+    descriptionFindings,
     staleDays: effectiveStaleDays,
     ageDays
   });
@@ -250,11 +508,19 @@ async function analyzeState(octokit, { owner, repo, pr, reviews, checkRuns, stal
     tr,
     pr,
     ageDays,
+    activityAt,
     checkRuns,
     checksSummary,
+    ciDiagnosis,
+    conflicts,
+    baseDrift,
+    linkedIssues,
     approvals,
     requestedChanges,
     requestedReviewers,
+    threadsSummary,
+    requirements,
+    unmetRequirements,
     blockers,
     nextActors,
     showReviewLatency,
@@ -263,28 +529,61 @@ async function analyzeState(octokit, { owner, repo, pr, reviews, checkRuns, stal
 }
 
 function formatStateSection(analysis) {
-  const { tr, pr, ageDays, checkRuns, checksSummary, approvals, requestedChanges, requestedReviewers, blockers, nextActors, showReviewLatency, now } = analysis;
+  const { tr, pr, ageDays, activityAt, checkRuns, checksSummary, ciDiagnosis, conflicts, baseDrift, linkedIssues, approvals, requestedChanges, requestedReviewers, threadsSummary, requirements, blockers, nextActors, showReviewLatency, now } = analysis;
   const lines = [];
 
   lines.push(`#### ${tr.title}\n`);
-  lines.push(`**${tr.lastActivity}:** ${fmtAgeDays(ageDays)} (${pr.updated_at})`);
+  lines.push(`**${tr.lastActivity}:** ${fmtAgeDays(ageDays)} (${activityAt})`);
   lines.push(`**${tr.draft}:** ${pr.draft ? tr.yes : tr.no}`);
   lines.push(`**${tr.mergeable}:** ${pr.mergeable === null ? tr.unknown : (pr.mergeable ? tr.yes : tr.no)}`);
   lines.push("");
 
+  if (baseDrift) {
+    const status = baseDrift.behindBy ? `${baseDrift.behindBy} ${tr.commitsBehind} \`${baseDrift.base}\`` : `${tr.upToDateWith} \`${baseDrift.base}\``;
+    const synced = baseDrift.syncedDaysAgo != null ? ` (${tr.lastSynced} ${fmtAgeDays(baseDrift.syncedDaysAgo)})` : "";
+    lines.push(`**${tr.baseBranch}:** ${status}${synced}`);
+    // Conflicting PRs list the same files below, with the commits that touched them.
+    if (baseDrift.overlapping.length && !conflicts?.files.length) {
+      const names = baseDrift.overlapping.slice(0, 5).map((f) => `\`${f}\``);
+      if (baseDrift.overlapping.length > 5) names.push(`${baseDrift.overlapping.length - 5} ${tr.more}`);
+      lines.push(`- ${baseDrift.overlapping.length} ${tr.filesAlsoChangedOn} \`${baseDrift.base}\`: ${names.join(", ")}`);
+    }
+    lines.push("");
+  }
+
+  if (conflicts?.files.length) {
+    lines.push(formatLikelyConflicts(conflicts, tr));
+    lines.push("");
+  }
+
+  if (linkedIssues?.length) {
+    lines.push(formatLinkedIssues(linkedIssues, pr, tr));
+    lines.push("");
+  }
+
   lines.push(`**${tr.checks}:**`);
   if (checkRuns.length === 0) {
     lines.push(`- ${tr.noChecks}`);
   } else {
-    if (checksSummary.failing.length) lines.push(`- ${tr.failing}: ${checksSummary.failing.map((n) => `\`${n}\``).join(", ")}`);
+    if (checksSummary.failing.length) {
+      const flaky = new Set(checksSummary.flaky || []);
+      lines.push(`- ${tr.failing}: ${checksSummary.failing.map((n) => `\`${n}\`${flaky.has(n) ? ` (${tr.knownFlaky})` : ""}`).join(", ")}`);
+    }
     if (checksSummary.inProgress.length) lines.push(`- ${tr.running}: ${checksSummary.inProgress.map((n) => `\`${n}\``).join(", ")}`);
+    if (checksSummary.stale.length) lines.push(`- ${tr.stale}: ${checksSummary.stale.map((n) => `\`${n}\``).join(", ")}`);
     const c = checksSummary.counts;
     lines.push(`- ${tr.totals}: ✅ ${c.success} | ❌ ${c.failure} | ⏳ ${c.in_progress + c.queued} | ⚪ ${c.skipped + c.neutral}`);
   }
   lines.push("");
 
+  if (ciDiagnosis) {
+    lines.push(formatCheckDiagnosis(ciDiagnosis, tr));
+    lines.push("");
+  }
+
   lines.push(`**${tr.reviews}:**`);
-  lines.push(`- ${tr.approvals}: ${approvals}`);
+  const requiredApprovals = requirements?.requiredApprovals ? ` / ${requirements.requiredApprovals} ${tr.required}` : "";
+  lines.push(`- ${tr.approvals}: ${approvals}${requiredApprovals}`);
   lines.push(`- ${tr.changesRequested}: ${requestedChanges}`);
   if (requestedReviewers.length) {
     lines.push(`- ${tr.requested}: ${requestedReviewers.map((u) => u.startsWith("@") ? u : `@${u}`).join(", ")}`);
@@ -299,6 +598,19 @@ function formatStateSection(analysis) {
     }
   }
 
+  if (threadsSummary) {
+    const outdated = threadsSummary.outdated ? ` (${threadsSummary.outdated} ${tr.outdated})` : "";
+    lines.push(`- ${tr.unresolvedThreads}: ${threadsSummary.unresolved}${outdated}`);
+    const oldest = threadsSummary.oldest;
+    if (oldest) {
+      const where = `\`${oldest.path}${oldest.line ? `:${oldest.line}` : ""}\``;
+      const link = oldest.url ? `[${where}](${oldest.url})` : where;
+      const age = oldest.startedAt ? `, ${fmtAgeDays(daysBetween(now, new Date(oldest.startedAt)))}` : "";
+      const waiting = oldest.waitingOn ? `, ${tr.waitingOn} @${oldest.waitingOn}` : "";
+      lines.push(`- ${tr.oldestThread}: ${link}${age}${waiting}`);
+    }
+  }
+
   const teamLines = summarizeTeamReviews(pr);
   for (const tl of teamLines) {
     lines.push(`- ${tl}`);
@@ -327,59 +639,187 @@ function formatStateSection(analysis) {
   return lines.join("\n");
 }
 
-// -------------------- Stale sweep --------------------
+// -------------------- Stale digest --------------------
+
+const DIGEST_MARKER = "<!-- pr-advisor-digest:v0 -->";
+const NO_ACTOR = "No clear next actor";
+
+function tableCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+// Teams are mentioned as `@org/team`; requested teams belong to the repo owner.
+function digestRow({ pr, analysis, size }, owner) {
+  const title = pr.title.length > 60 ? `${pr.title.slice(0, 59)}…` : pr.title;
+  const reviewers = [
+    ...(pr.requested_reviewers || []).map((u) => u.login).filter(Boolean).map((login) => `@${login}`),
+    ...(pr.requested_teams || []).map((t) => t.slug).filter(Boolean).map((slug) => `@${owner}/${slug}`)
+  ].join(", ") || "—";
+  const blockers = analysis.blockers.map(tableCell).join("<br>") || "—";
+  return `| [#${pr.number}](${pr.html_url}) ${tableCell(title)} | ${Math.floor(analysis.ageDays)}d | ${size || "?"} | ${blockers} | ${tableCell(reviewers)} |`;
+}
+
+/**
+ * One report for all stale PRs, grouped by next actor. A PR waiting on more
+ * than one person is listed under each of them.
+ */
+function formatStaleDigest(entries, { staleDays, owner, now = new Date() }) {
+  const lines = ["### PR Advisor — Stale PR digest", DIGEST_MARKER, ""];
+  lines.push(`**${entries.length} stale PR(s)** with no activity for ${staleDays}+ days, as of ${now.toISOString().slice(0, 10)}.`);
+  lines.push("");
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const actors = entry.analysis.nextActors.length ? entry.analysis.nextActors : [NO_ACTOR];
+    for (const actor of actors) {
+      if (!groups.has(actor)) groups.set(actor, []);
+      groups.get(actor).push(entry);
+    }
+  }
 
-async function staleSweep(octokit, { owner, repo, staleDays, maxChecks, staleOverridesRaw, dryRun, showReviewLatency, language, maxPRs, marker }) {
-  const prs = await octokit.rest.pulls.list({
-    owner, repo, state: "open", sort: "updated", direction: "asc", per_page: maxPRs
+  const ordered = [...groups.entries()].sort((a, b) => {
+    if ((a[0] === NO_ACTOR) !== (b[0] === NO_ACTOR)) return a[0] === NO_ACTOR ? 1 : -1;
+    return b[1].length - a[1].length || a[0].localeCompare(b[0]);
   });
 
+  for (const [actor, list] of ordered) {
+    lines.push(`#### ${actor === NO_ACTOR ? actor : `Waiting on ${actor}`} (${list.length})`);
+    lines.push("");
+    lines.push("| PR | Age | Size | Blockers | Requested reviewers |");
+    lines.push("|----|-----|------|----------|---------------------|");
+    for (const entry of [...list].sort((a, b) => b.analysis.ageDays - a.analysis.ageDays)) lines.push(digestRow(entry, owner));
+    lines.push("");
+  }
+
+  const skipped = formatSkippedNote();
+  if (skipped) lines.push(skipped);
+
+  return lines.join("\n");
+}
+
+async function publishStaleDigest(octokit, { owner, repo, body, digestIssue, dryRun }) {
+  await core.summary.addRaw(body).write();
+  core.info("Wrote stale digest to the step summary.");
+
+  if (dryRun) {
+    core.info(`Dry-run stale digest:\n${body}`);
+    return;
+  }
+  if (!digestIssue) {
+    core.info("No digest_issue configured; the digest is only in the step summary.");
+    return;
+  }
+
+  const res = await withoutBudget(() => upsertComment(octokit, { owner, repo, issue_number: digestIssue, body, marker: DIGEST_MARKER }));
+  core.info(`Issue #${digestIssue}: ${res.updated ? "updated" : "created"} stale digest: ${res.url}`);
+}
+
+// -------------------- Stale sweep --------------------
+
+async function staleSweep(octokit, {
+  owner, repo, staleDays, maxChecks, staleOverrides, dryRun, showReviewLatency, reviewThreads,
+  mergeRequirements, diagnoseFailures, explainConflicts, behindBase, maxBaseAgeDays, linkedIssues, detectFlakyChecks, flakyCheckSamples, language, maxPRs, marker,
+  digest, digestIssue, sizeThresholds, ignorePatterns = [], sizePathRules = [], maxFiles, escalation = [], concurrency = 4, useGraphql = true
+}) {
+  const prs = await listOpenPulls(octokit, { owner, repo, max: maxPRs, sort: "updated", direction: "asc" });
+
   const now = new Date();
+  const requirementsCache = new Map();
+  const escalated = {};
   let processed = 0;
+  let stopped = false;
 
-  for (const prSummary of prs.data) {
-    const updatedAt = new Date(prSummary.updated_at);
-    const ageDays = daysBetween(now, updatedAt);
-    if (ageDays < staleDays) continue;
+  const escalate = async (pr, activity, nextActors) => {
+    const taken = await escalatePR(octokit, {
+      owner, repo, pr, stages: escalation, activity, nextActors, staleDays, staleOverrides, dryRun, now
+    });
+    for (const t of taken) escalated[t] = (escalated[t] || 0) + 1;
+  };
 
+  const sweepPR = async (prSummary) => {
+    if (stopped) return null;
     try {
-      const prResp = await octokit.rest.pulls.get({ owner, repo, pull_number: prSummary.number });
-      const pr = prResp.data;
-
-      const reviewsResp = await octokit.rest.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 });
-      let checkRuns = [];
-      try {
-        const checksResp = await octokit.rest.checks.listForRef({ owner, repo, ref: pr.head.sha, per_page: maxChecks });
-        checkRuns = checksResp.data.check_runs || [];
-      } catch {
-        core.warning(`Could not fetch check runs for PR #${pr.number} (needs checks:read permission); skipping checks info.`);
+      // With an escalation ladder, idle time is measured from human activity:
+      // the action's own comments and labels bump `updated_at`.
+      let activity = null;
+      let ageDays = daysBetween(now, new Date(prSummary.updated_at));
+      if (escalation.length && needsActivity(prSummary, { stages: escalation, staleDays, staleOverrides, now })) {
+        activity = await fetchActivity(octokit, { owner, repo, pr: prSummary });
+        ageDays = daysBetween(now, new Date(activity.lastActivity));
       }
 
-      const analysis = await analyzeState(octokit, {
-        owner, repo, pr, reviews: reviewsResp.data, checkRuns,
-        staleDays, staleOverridesRaw, showReviewLatency, language
+      if (ageDays < staleDays) {
+        if (activity) await escalate(prSummary, activity, []);
+        return null;
+      }
+
+      // The digest sizes PRs like the size section, so it needs their files.
+      const { pr, files, reviews, checkRuns, threads } = await loadPullRequestData(octokit, {
+        owner, repo, number: prSummary.number, maxChecks, maxFiles, withFiles: Boolean(digest), useGraphql
       });
 
-      const body = `### PR Advisor\n${marker}\n\n---\n` + formatStateSection(analysis);
+      const analysis = await analyzeState(octokit, {
+        owner, repo, pr, files, reviews, checkRuns, threads, maxChecks,
+        staleDays, staleOverrides, showReviewLatency, reviewThreads,
+        mergeRequirements, requirementsCache, diagnoseFailures, explainConflicts, behindBase, maxBaseAgeDays, linkedIssues,
+        detectFlakyChecks, flakyCheckSamples, lastActivityAt: activity?.lastActivity, language
+      });
 
-      if (dryRun) {
-        core.info(`Dry-run PR #${pr.number}:\n${body}`);
+      let entry = null;
+      if (digest) {
+        const { counted } = filterIgnoredFiles(files, ignorePatterns);
+        const size = analyzeSize({ files: counted, thresholds: sizeThresholds, rules: sizePathRules }).size;
+        entry = { pr, analysis, size };
       } else {
-        const res = await upsertComment(octokit, { owner, repo, issue_number: pr.number, body, marker });
-        core.info(`PR #${pr.number}: ${res.updated ? "updated" : "created"} comment: ${res.url}`);
+        const body = `### PR Advisor\n${marker}\n\n---\n` + formatStateSection(analysis);
+
+        if (dryRun) {
+          core.info(`Dry-run PR #${pr.number}:\n${body}`);
+        } else {
+          const res = await withoutBudget(() => upsertComment(octokit, { owner, repo, issue_number: pr.number, body, marker }));
+          core.info(`PR #${pr.number}: ${res.updated ? "updated" : "created"} comment: ${res.url}`);
+        }
       }
+
+      if (activity) await escalate(pr, activity, analysis.nextActors);
       processed++;
+      return entry;
     } catch (err) {
+      if (isBudgetExhausted(err)) {
+        if (!stopped) {
+          stopped = true;
+          markSkipped("stale sweep (remaining PRs)");
+          core.warning(`API request budget exhausted; stopping stale sweep at PR #${prSummary.number}.`);
+        }
+        return null;
+      }
       core.warning(`Failed to analyze PR #${prSummary.number}: ${err?.message || err}`);
+      return null;
     }
+  };
+
+  // PRs are independent, so up to `concurrency` of them are analyzed at once.
+  const results = await mapWithConcurrency(prs, concurrency, sweepPR);
+  const entries = results.filter(Boolean);
+
+  core.info(`Stale sweep complete: processed ${processed} stale PR(s) out of ${prs.length} open.`);
+  if (escalation.length) {
+    const summary = Object.entries(escalated).map(([k, n]) => `${k} ×${n}`).join(", ");
+    core.info(`Escalation${dryRun ? " (dry run)" : ""}: ${summary || "no actions"}.`);
   }
 
-  core.info(`Stale sweep complete: processed ${processed} stale PR(s) out of ${prs.data.length} open.`);
+  if (digest) {
+    const body = formatStaleDigest(entries, { staleDays, owner, now });
+    await publishStaleDigest(octokit, { owner, repo, body, digestIssue, dryRun });
+  }
 }
 
 export {
   daysBetween,
+  summarizeReviewThreads,
+  classifyState,
   analyzeState,
   formatStateSection,
+  formatStaleDigest,
   staleSweep
 };
@@ -1,4 +1,5 @@
 import * as core from "@actions/core";
+import { rethrowIfBudgetExhausted } from "./api-client.js";
 
 function toBool(s, def = false) {
   if (s == null) return def;
@@ -90,6 +91,48 @@ async function listAllPRFiles(octokit, { owner, repo, pull_number, maxFiles }) {
   return files;
 }
 
+// Pages through a list endpoint 100 at a time until `max` items are collected.
+async function listUpTo(list, params, max) {
+  const items = [];
+  for (let page = 1; items.length < max; page++) {
+    const resp = await list({ ...params, per_page: 100, page });
+    items.push(...resp.data.slice(0, max - items.length));
+    if (resp.data.length < 100) break;
+  }
+  return items;
+}
+
+async function listOpenPulls(octokit, { owner, repo, max, sort = "created", direction = "desc" }) {
+  return listUpTo(octokit.rest.pulls.list, { owner, repo, state: "open", sort, direction }, max);
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep
+// the input order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function tryFetchFileText(octokit, { owner, repo, path, ref }) {
+  try {
+    const resp = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    if (!resp.data || Array.isArray(resp.data) || !resp.data.content) return null;
+    const buf = Buffer.from(resp.data.content, resp.data.encoding || "base64");
+    return buf.toString("utf8");
+  } catch (e) {
+    rethrowIfBudgetExhausted(e);
+    return null;
+  }
+}
+
 function fmt(n) {
   return new Intl.NumberFormat("en-US").format(n);
 }
@@ -100,5 +143,9 @@ export {
   upsertComment,
   deleteCommentByMarker,
   listAllPRFiles,
+  listUpTo,
+  listOpenPulls,
+  mapWithConcurrency,
+  tryFetchFileText,
   fmt
 };
@@ -0,0 +1,77 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import * as github from "@actions/github";
+import { installApiClient, withoutBudget, reportSignalError, getApiStats, formatSkippedNote, resetApiClientState } from "../lib/api-client.js";
+
+function fakeOctokit(responses) {
+  const fetch = async () => {
+    const [status, body, headers = {}] = responses.length > 1 ? responses.shift() : responses[0];
+    return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } });
+  };
+  return github.getOctokit("test-token", { request: { fetch } });
+}
+
+const noWait = async () => {};
+
+beforeEach(() => resetApiClientState());
+
+test("retries 5xx responses and secondary rate limits", async () => {
+  const waits = [];
+  const octokit = installApiClient(fakeOctokit([
+    [502, { message: "Bad Gateway" }],
+    [403, { message: "You have exceeded a secondary rate limit" }, { "retry-after": "7" }],
+    [200, { number: 1 }, { "x-ratelimit-remaining": "4000" }]
+  ]), { maxRetries: 3, wait: async (ms) => waits.push(ms) });
+
+  const resp = await octokit.rest.pulls.get({ owner: "acme", repo: "widgets", pull_number: 1 });
+  assert.equal(resp.data.number, 1);
+  assert.equal(waits.length, 2);
+  assert.equal(waits[1], 7000);
+  assert.equal(getApiStats().retries, 2);
+  assert.equal(getApiStats().remaining, 4000);
+});
+
+test("retries writes only on rate limits with retry-after", async () => {
+  const waits = [];
+  const octokit = installApiClient(fakeOctokit([
+    [429, { message: "Too Many Requests" }, { "retry-after": "2" }],
+    [502, { message: "Bad Gateway" }]
+  ]), { maxRetries: 3, wait: async (ms) => waits.push(ms) });
+
+  await assert.rejects(octokit.rest.issues.createComment({ owner: "acme", repo: "widgets", issue_number: 1, body: "hi" }), { status: 502 });
+  assert.deepEqual(waits, [2000]);
+  await assert.rejects(octokit.graphql("mutation { convertPullRequestToDraft(input: {}) { clientMutationId } }"));
+  assert.equal(getApiStats().used, 3);
+});
+
+test("retries GraphQL queries on 5xx responses", async () => {
+  const octokit = installApiClient(fakeOctokit([
+    [502, { message: "Bad Gateway" }],
+    [200, { data: { viewer: { login: "ann" } } }]
+  ]), { wait: noWait });
+
+  assert.deepEqual(await octokit.graphql("query { viewer { login } }"), { viewer: { login: "ann" } });
+  assert.equal(getApiStats().retries, 1);
+});
+
+test("does not retry client errors", async () => {
+  const octokit = installApiClient(fakeOctokit([[404, { message: "Not Found" }]]), { wait: noWait });
+  await assert.rejects(octokit.rest.pulls.get({ owner: "acme", repo: "widgets", pull_number: 1 }), { status: 404 });
+  assert.equal(getApiStats().used, 1);
+});
+
+test("enforces the request budget except for exempt requests", async () => {
+  const octokit = installApiClient(fakeOctokit([[200, {}]]), { budget: 1, wait: noWait });
+
+  await octokit.rest.pulls.get({ owner: "acme", repo: "widgets", pull_number: 1 });
+  try {
+    await octokit.rest.pulls.get({ owner: "acme", repo: "widgets", pull_number: 2 });
+    assert.fail("expected the budget to run out");
+  } catch (e) {
+    reportSignalError("review latency", e);
+  }
+  await withoutBudget(() => octokit.rest.pulls.get({ owner: "acme", repo: "widgets", pull_number: 3 }));
+
+  assert.deepEqual(getApiStats().skipped, ["review latency"]);
+  assert.match(formatSkippedNote(), /budget \(1 requests\) ran out, so these signals were skipped: review latency/);
+});
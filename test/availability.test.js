@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAvailabilityFile } from "../lib/availability.js";
+
+test("parseAvailabilityFile reads per-login date ranges from YAML", () => {
+  const periods = parseAvailabilityFile([
+    "ann:",
+    "  - from: 2026-10-20",
+    "    to: 2026-10-31",
+    "    reason: vacation",
+    "\"@ben\":",
+    "  from: 2026-11-02",
+    "cat:",
+    "  - to: 2026-11-01"
+  ].join("\n"), ".github/availability.yml");
+
+  assert.deepEqual(periods.map((p) => [p.login, p.from.toISOString(), p.to.toISOString(), p.reason]), [
+    ["ann", "2026-10-20T00:00:00.000Z", "2026-10-31T23:59:59.999Z", "vacation"],
+    ["ben", "2026-11-02T00:00:00.000Z", "2026-11-02T23:59:59.999Z", null]
+  ]);
+});
+
+test("parseAvailabilityFile reads all-day and timed events for @logins from iCalendar", () => {
+  const periods = parseAvailabilityFile([
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "SUMMARY:@ann vacation",
+    "DTSTART;VALUE=DATE:20261020",
+    "DTEND;VALUE=DATE:20261101",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "SUMMARY:@ben: conference\\, Berl",
+    " in",
+    "DTSTART:20261105T090000Z",
+    "DTEND:20261105T170000Z",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "SUMMARY:Team offsite",
+    "DTSTART;VALUE=DATE:20261110",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].join("\r\n"), "ooo.ics");
+
+  assert.deepEqual(periods.map((p) => [p.login, p.from.toISOString(), p.to.toISOString(), p.reason]), [
+    ["ann", "2026-10-20T00:00:00.000Z", "2026-10-31T23:59:59.999Z", "vacation"],
+    ["ben", "2026-11-05T09:00:00.000Z", "2026-11-05T17:00:00.000Z", "conference, Berlin"]
+  ]);
+});
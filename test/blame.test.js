@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { touchedLineRanges, fetchLineOwnership } from "../lib/blame.js";
+
+test("touchedLineRanges returns the old-file lines a patch modifies or deletes", () => {
+  const patch = [
+    "@@ -3,6 +3,6 @@ function a() {",
+    " context",
+    "-old 4",
+    "-old 5",
+    "+new 4",
+    " context",
+    "+added",
+    " context",
+    "-old 8",
+    "@@ -20,2 +20,3 @@",
+    " context",
+    "+only added",
+    " context",
+    "\\ No newline at end of file"
+  ].join("\n");
+
+  assert.deepEqual(touchedLineRanges(patch), [[4, 5], [8, 8]]);
+  assert.deepEqual(touchedLineRanges("@@ -0,0 +1,2 @@\n+a\n+b"), []);
+  assert.deepEqual(touchedLineRanges(undefined), []);
+});
+
+test("fetchLineOwnership blames touched files at the base commit and sums shares", async () => {
+  const calls = [];
+  const octokit = {
+    graphql: async (query, variables) => {
+      calls.push({ query, variables });
+      return {
+        repository: {
+          object: {
+            f0: { ranges: [{ startingLine: 1, endingLine: 4, commit: { author: { user: { login: "ann" } } } }, { startingLine: 5, endingLine: 9, commit: { author: { user: { login: "ben" } } } }] },
+            f1: { ranges: [{ startingLine: 1, endingLine: 50, commit: { author: { user: null } } }] }
+          }
+        }
+      };
+    }
+  };
+
+  const owners = await fetchLineOwnership(octokit, {
+    owner: "acme", repo: "widgets", ref: "base",
+    files: [
+      { filename: "src/a.js", status: "modified", patch: "@@ -3,4 +3,1 @@\n-x\n-x\n-x\n-x\n+y" },
+      { filename: "src/new.js", status: "renamed", previous_filename: "src/old.js", patch: "@@ -10,1 +10,1 @@\n-x\n+y" },
+      { filename: "src/added.js", status: "added", patch: "@@ -0,0 +1 @@\n+x" },
+      { filename: "logo.png", status: "modified" }
+    ]
+  });
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].query, /query Blame\(/);
+  assert.deepEqual([calls[0].variables.ref, calls[0].variables.p0, calls[0].variables.p1], ["base", "src/a.js", "src/old.js"]);
+  assert.deepEqual(Object.fromEntries(owners), { ann: { lines: 2, share: 0.5 }, ben: { lines: 2, share: 0.5 } });
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeCheckSources, summarizeChecks, scoreFlakyChecks } from "../lib/checks.js";
+import { checkRun, commitStatus, daysAgo } from "./fixtures/scenarios.js";
+
+test("summarizeChecks counts conclusions and lists failing and running checks", () => {
+  const s = summarizeChecks([
+    checkRun("build", "success"),
+    checkRun("lint", "failure"),
+    checkRun("e2e", null, "queued"),
+    checkRun("docs", "skipped")
+  ]);
+
+  assert.equal(s.counts.success, 1);
+  assert.equal(s.counts.failure, 1);
+  assert.equal(s.counts.queued, 1);
+  assert.equal(s.counts.skipped, 1);
+  assert.deepEqual(s.failing, ["lint"]);
+  assert.deepEqual(s.inProgress, ["e2e"]);
+});
+
+test("mergeCheckSources folds commit statuses in and keeps the latest entry per context", () => {
+  const runs = mergeCheckSources(
+    [{ ...checkRun("build", "failure"), completed_at: daysAgo(1) }],
+    [commitStatus("jenkins", "error", 1), commitStatus("jenkins", "success", 0.5), commitStatus("buildkite", "pending")]
+  );
+  const s = summarizeChecks(runs);
+
+  assert.equal(runs.length, 3);
+  assert.equal(s.counts.success, 1);
+  assert.deepEqual(s.failing, ["build"]);
+  assert.deepEqual(s.inProgress, ["buildkite"]);
+});
+
+test("mergeCheckSources keeps same-named checks from other apps, suites and statuses apart", () => {
+  const run = (conclusion, app, suite, days) => ({ ...checkRun("test", conclusion), app: { slug: app }, check_suite: { id: suite }, completed_at: daysAgo(days) });
+  const runs = mergeCheckSources(
+    [run("failure", "github-actions", 1, 2), run("success", "github-actions", 1, 1), run("failure", "github-actions", 2, 1), run("success", "circleci", 3, 0.5)],
+    [commitStatus("test", "success", 0.1)]
+  );
+  const s = summarizeChecks(runs);
+
+  assert.equal(runs.length, 4);
+  assert.equal(s.counts.failure, 1);
+  assert.equal(s.counts.success, 3);
+  assert.deepEqual(s.failing, ["test"]);
+});
+
+test("summarizeChecks reports stale and long-pending checks separately", () => {
+  const s = summarizeChecks(mergeCheckSources(
+    [checkRun("deploy-preview", "stale")],
+    [commitStatus("jenkins", "pending", 3), commitStatus("lint", "pending", 0.1)]
+  ));
+
+  assert.deepEqual(s.stale, ["deploy-preview", "jenkins"]);
+  assert.deepEqual(s.inProgress, ["lint"]);
+});
+
+function attempt(name, conclusion, days) {
+  return { ...checkRun(name, conclusion), completed_at: daysAgo(days) };
+}
+
+test("scoreFlakyChecks flags checks that passed on a re-run of more than one commit", () => {
+  const rerun = [attempt("e2e", "failure", 2), attempt("e2e", "success", 1.9), attempt("lint", "failure", 2)];
+  const once = scoreFlakyChecks({ names: ["e2e", "lint"], heads: [rerun], baseHistory: [] });
+  const twice = scoreFlakyChecks({ names: ["e2e", "lint"], heads: [rerun, rerun], baseHistory: [] });
+
+  assert.equal(once.size, 0);
+  assert.deepEqual([...twice.keys()], ["e2e"]);
+  assert.equal(twice.get("e2e").reruns, 2);
+});
+
+test("scoreFlakyChecks flags checks that fail on some unrelated PR heads and pass on others", () => {
+  const pass = [attempt("e2e", "success", 1)];
+  const fail = [attempt("e2e", "failure", 1)];
+  const intermittent = scoreFlakyChecks({ names: ["e2e"], heads: [pass, fail, pass, pass, fail, pass], baseHistory: [] });
+  const broken = scoreFlakyChecks({ names: ["e2e"], heads: [fail, fail, fail, pass, fail], baseHistory: [] });
+  const once = scoreFlakyChecks({ names: ["e2e"], heads: [pass, fail, pass, pass], baseHistory: [] });
+
+  assert.deepEqual(intermittent.get("e2e"), { reruns: 0, isolated: 0, headRuns: 6, headFailures: 2 });
+  assert.equal(broken.size, 0);
+  assert.equal(once.size, 0);
+});
+
+test("scoreFlakyChecks flags isolated failures on the base branch", () => {
+  const pass = [attempt("e2e", "success", 1)];
+  const fail = [attempt("e2e", "failure", 1)];
+  const flaky = scoreFlakyChecks({ names: ["e2e"], heads: [], baseHistory: [pass, fail, pass, fail, pass] });
+  const broken = scoreFlakyChecks({ names: ["e2e"], heads: [], baseHistory: [pass, fail, fail, fail, pass] });
+
+  assert.equal(flaky.get("e2e").isolated, 2);
+  assert.equal(broken.size, 0);
+});
+
+test("scoreFlakyChecks keeps same-named checks from different apps apart", () => {
+  const fromApp = (slug, conclusion, days) => ({ ...attempt("test", conclusion, days), app: { slug }, check_suite: { id: slug.length } });
+  const mixed = [fromApp("ci", "failure", 2), fromApp("circleci", "success", 1.9)];
+  const rerun = scoreFlakyChecks({ names: ["test"], heads: [mixed, mixed], baseHistory: [] });
+  const base = scoreFlakyChecks({
+    names: ["test"],
+    heads: [],
+    baseHistory: [[fromApp("ci", "success", 3)], [fromApp("circleci", "failure", 2)], [fromApp("ci", "success", 1)], [fromApp("circleci", "failure", 0.5)], [fromApp("ci", "success", 0.1)]]
+  });
+
+  assert.equal(rerun.size, 0);
+  assert.equal(base.size, 0);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCodeowners, ownersForFile, unownedFiles } from "../lib/codeowners.js";
+
+test("parseCodeowners keeps ownerless rules, records teams and emails, and skips invalid lines", () => {
+  const rules = parseCodeowners([
+    "# owners",
+    "*.js @ann @acme/web  # inline comment",
+    "docs/",
+    "/infra/** ops@example.com",
+    "!*.md @ann",
+    "/lib/ ann"
+  ].join("\n"));
+
+  assert.deepEqual(rules, [
+    { pattern: "*.js", owners: ["ann", "acme/web"], teams: ["acme/web"], emails: [] },
+    { pattern: "docs/", owners: [], teams: [], emails: [] },
+    { pattern: "/infra/**", owners: [], teams: [], emails: ["ops@example.com"] }
+  ]);
+});
+
+test("ownersForFile lets the last matching rule win, including rules without owners", () => {
+  const rules = parseCodeowners("* @ann\n/src/legacy/ @ben\n/src/legacy/vendor\n");
+  assert.deepEqual(ownersForFile(rules, "README.md"), ["ann"]);
+  assert.deepEqual(ownersForFile(rules, "src/legacy/old.js"), ["ben"]);
+  assert.deepEqual(ownersForFile(rules, "src/legacy/vendor/lib.js"), []);
+});
+
+test("ownersForFile follows GitHub's path rules", () => {
+  const owner = (pattern, file) => ownersForFile(parseCodeowners(`${pattern} @x\n`), file).length > 0;
+
+  // Rooted directories own everything below them.
+  assert.equal(owner("/src/", "src/a.js"), true);
+  assert.equal(owner("/src/", "src/deep/a.js"), true);
+  assert.equal(owner("/src/", "lib/src/a.js"), false);
+  assert.equal(owner("/src/", "src"), false);
+
+  // A directory without a leading slash matches at any depth.
+  assert.equal(owner("apps/", "apps/a.js"), true);
+  assert.equal(owner("apps/", "pkg/apps/web/a.js"), true);
+
+  // A slash in the middle anchors the pattern; `dir/*` is not recursive.
+  assert.equal(owner("docs/*", "docs/intro.md"), true);
+  assert.equal(owner("docs/*", "docs/build/guide.md"), false);
+  assert.equal(owner("docs/*", "pkg/docs/intro.md"), false);
+  assert.equal(owner("**/logs", "deeply/nested/logs/app.log"), true);
+
+  // `/*` only owns files at the root.
+  assert.equal(owner("/*", "README.md"), true);
+  assert.equal(owner("/*", "src/a.js"), false);
+  assert.equal(owner("/*", "src/b/c.js"), false);
+
+  // Names without a slash match files and directories anywhere.
+  assert.equal(owner("*.js", "src/a.js"), true);
+  assert.equal(owner("Makefile", "tools/Makefile"), true);
+  assert.equal(owner("build", "pkg/build/out.txt"), true);
+
+  // Matching is case sensitive and dotfiles are included.
+  assert.equal(owner("*.JS", "src/a.js"), false);
+  assert.equal(owner("*", ".github/workflows/ci.yml"), true);
+});
+
+test("unownedFiles lists files without a rule or whose rule has no owners", () => {
+  const rules = parseCodeowners("/src/ @ann\n/src/generated/\n/docs/ docs@example.com\n");
+  assert.deepEqual(unownedFiles(rules, ["src/a.js", "src/generated/b.js", "docs/c.md", "README.md"]), [
+    "src/generated/b.js",
+    "README.md"
+  ]);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSettings } from "../lib/config.js";
+
+const noInputs = () => "";
+
+test("defaults apply when neither inputs nor the config file set a value", () => {
+  const settings = resolveSettings(null, { getInput: noInputs });
+  assert.equal(settings.staleDays, 3);
+  assert.equal(settings.enableReviewer, true);
+  assert.deepEqual(settings.staleOverrides, {});
+  assert.ok(settings.ignorePatterns.includes("package-lock.json"));
+});
+
+test("config file values are used and action inputs take precedence", () => {
+  const doc = { state: { stale_days: 7, stale_overrides: { wip: 14 } }, reviewer: { exclude_reviewers: ["Ann"], max_files: 10 } };
+  const inputs = { stale_days: "2" };
+  const settings = resolveSettings(doc, { getInput: (name) => inputs[name] || "" });
+
+  assert.equal(settings.staleDays, 2);
+  assert.deepEqual(settings.staleOverrides, { wip: 14 });
+  assert.deepEqual(settings.excludeReviewersInput, ["ann"]);
+  assert.equal(settings.reviewerMaxFiles, 10);
+});
+
+test("invalid config files report every problem at once", () => {
+  const doc = { size: { xs_line: 5, m_lines: "big" }, reviewers: {} };
+  assert.throws(() => resolveSettings(doc, { getInput: noInputs }), (err) => {
+    assert.match(err.message, /unknown key "size\.xs_line" \(did you mean "xs_lines"\?\)/);
+    assert.match(err.message, /unknown section "reviewers" \(did you mean "reviewer"\?\)/);
+    assert.match(err.message, /"size\.m_lines" must be an integer/);
+    return true;
+  });
+});
+
+test("threshold minimums follow the previous threshold", () => {
+  const doc = { size: { xs_lines: 300, s_lines: 100 } };
+  assert.throws(() => resolveSettings(doc, { getInput: noInputs }), /"size\.s_lines" must be between 300 and 1000000/);
+});
+
+test("invalid action inputs fall back to the default instead of failing the run", () => {
+  const inputs = { language: "fr", stale_overrides: "{wip: 14", escalation: '[{"days": 7, "action": "archive"}]' };
+  const settings = resolveSettings(null, { getInput: (name) => inputs[name] || "" });
+
+  assert.equal(settings.language, "en");
+  assert.deepEqual(settings.staleOverrides, {});
+  assert.deepEqual(settings.escalation, []);
+});
+
+test("stale_overrides entries must be positive days or a mapping of stage days", () => {
+  const valid = { wip: 14, release: { stale: 2, close: 90 } };
+  const escalation = [{ days: 7, action: "ping" }, { days: 30, action: "close" }];
+  assert.deepEqual(resolveSettings({ state: { stale_overrides: valid, escalation } }, { getInput: noInputs }).staleOverrides, valid);
+  assert.deepEqual(resolveSettings(null, { getInput: (name) => (name === "stale_overrides" ? '{"wip": -3}' : "") }).staleOverrides, {});
+  assert.throws(
+    () => resolveSettings({ state: { stale_overrides: { wip: "soon", release: { ping: 0 } } } }, { getInput: noInputs }),
+    /"state\.stale_overrides" entry "wip" must be a positive number of days or a mapping of stage names to days\./
+  );
+});
+
+test("stale_overrides mappings may only name stale and the configured escalation stages", () => {
+  const escalation = [{ days: 7, action: "ping" }, { days: 30, action: "close", name: "archive" }];
+  assert.throws(
+    () => resolveSettings({ state: { escalation, stale_overrides: { release: { stale: 2, archiv: 60 } } } }, { getInput: noInputs }),
+    /"state\.stale_overrides" entry "release" has unknown stage "archiv" \(did you mean "archive"\?\)\./
+  );
+  assert.throws(
+    () => resolveSettings({ state: { stale_overrides: { release: { ping: 3 } } } }, { getInput: noInputs }),
+    /entry "release" has unknown stage "ping"/
+  );
+
+  const inputs = { escalation: JSON.stringify(escalation), stale_overrides: '{"release": {"close": 90}}' };
+  const settings = resolveSettings(null, { getInput: (name) => inputs[name] || "" });
+  assert.deepEqual(settings.staleOverrides, {});
+  assert.deepEqual(resolveSettings(null, { getInput: (name) => ({ ...inputs, stale_overrides: '{"release": {"archive": 90}}' })[name] || "" }).staleOverrides, { release: { archive: 90 } });
+});
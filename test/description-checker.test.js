@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitSections, evaluateDescription } from "../lib/description-checker.js";
+
+const config = { checkTemplate: true, requireLinkedIssue: true, requireTestPlan: true, minLength: 30 };
+
+const TEMPLATE = [
+  "## Summary",
+  "<!-- What does this change and why? -->",
+  "",
+  "## Checklist",
+  "- [ ] Docs updated",
+  "",
+  "## How has this been tested?",
+  ""
+].join("\n");
+
+function kinds(result) {
+  return result.findings.map((f) => f.kind);
+}
+
+test("splitSections ignores comments and text before the first heading", () => {
+  assert.deepEqual(splitSections("intro\n# One\na\n<!-- hidden -->\n### Two ###\nb"), [
+    { heading: "One", content: "a\n" },
+    { heading: "Two", content: "b" }
+  ]);
+});
+
+test("evaluateDescription accepts a filled-in template", () => {
+  const body = [
+    "## Summary",
+    "Caches rendered widgets so the dashboard stops re-rendering on every poll.",
+    "Fixes #123",
+    "## Checklist",
+    "- [x] Docs updated",
+    "## How has this been tested?",
+    "Unit tests plus a manual check against staging."
+  ].join("\n");
+  assert.deepEqual(evaluateDescription({ body, template: TEMPLATE, config }).findings, []);
+});
+
+test("evaluateDescription reports empty, unchanged and removed template sections", () => {
+  const body = "## Summary\n<!-- What does this change and why? -->\n\n## Checklist\n- [ ] Docs updated\n";
+  const result = evaluateDescription({ body, template: TEMPLATE, config });
+
+  assert.deepEqual(kinds(result), ["template_empty", "template_unchanged", "template_missing", "linked_issue", "test_plan", "short"]);
+  assert.equal(result.findings[0].text, "Template section \"Summary\" is empty.");
+  assert.equal(result.length, 0);
+  assert.equal(result.findings.at(-1).text, "Description is empty (at least 30 expected).");
+});
+
+test("evaluateDescription finds linked issues and test plans without a template", () => {
+  const body = "Resolves acme/widgets#9 by retrying the upload.\n\n**Test plan:** ran the upload suite.";
+  assert.deepEqual(kinds(evaluateDescription({ body, template: null, config })), []);
+
+  const mention = "Related to #9, retries the upload on 5xx responses from storage.";
+  assert.deepEqual(kinds(evaluateDescription({ body: mention, template: null, config })), ["linked_issue", "test_plan"]);
+
+  const off = { checkTemplate: false, requireLinkedIssue: false, requireTestPlan: false, minLength: 0 };
+  assert.deepEqual(kinds(evaluateDescription({ body: "", template: TEMPLATE, config: off })), []);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateEscalation, planEscalation, needsActivity } from "../lib/escalation.js";
+import { pullRequest, daysAgo } from "./fixtures/scenarios.js";
+
+const ladder = [
+  { days: 7, action: "ping" },
+  { days: 14, action: "label" },
+  { days: 30, action: "close" }
+];
+
+function plan(pr, idleDays, { doneStages = [], staleOverrides = {} } = {}) {
+  return planEscalation({ pr, stages: ladder, idleDays, doneStages: new Set(doneStages), staleDays: 3, staleOverrides });
+}
+
+test("validateEscalation rejects unknown actions and duplicate names", () => {
+  assert.equal(validateEscalation(ladder), null);
+  assert.match(validateEscalation([{ days: 3, action: "archive" }]), /"action" must be one of: ping, label, draft, close/);
+  assert.match(validateEscalation([{ days: 3, action: "ping" }, { days: 9, action: "ping" }]), /reuses the name "ping"/);
+  assert.match(validateEscalation([{ days: 0, action: "ping" }]), /"days" must be a positive integer/);
+});
+
+test("planEscalation applies the first stage that is due and not done yet", () => {
+  assert.equal(plan(pullRequest(), 5).next, null);
+  assert.equal(plan(pullRequest(), 20).next.name, "ping");
+  assert.equal(plan(pullRequest(), 20, { doneStages: ["ping"] }).next.name, "label");
+  assert.equal(plan(pullRequest({ labels: [{ name: "stale" }] }), 40, { doneStages: ["ping"] }).next.name, "close");
+});
+
+test("planEscalation removes the stale label once the PR is active again", () => {
+  const { removeLabels, next } = plan(pullRequest({ labels: [{ name: "stale" }] }), 1);
+  assert.deepEqual(removeLabels, ["stale"]);
+  assert.equal(next, null);
+});
+
+test("planEscalation shifts or overrides stages per label", () => {
+  const wip = pullRequest({ labels: [{ name: "wip" }] });
+  assert.equal(plan(wip, 12, { staleOverrides: { wip: 10 } }).next, null);
+  assert.equal(plan(wip, 14, { staleOverrides: { wip: 10 } }).next.name, "ping");
+
+  const release = pullRequest({ labels: [{ name: "release" }] });
+  assert.equal(plan(release, 2, { staleOverrides: { release: { ping: 1 } } }).next.name, "ping");
+});
+
+test("needsActivity skips PRs updated more recently than their first stage unless they carry a stale label", () => {
+  const opts = { stages: ladder, staleDays: 3, staleOverrides: { wip: 1 } };
+  assert.equal(needsActivity(pullRequest({ updated_at: daysAgo(2) }), opts), false);
+  assert.equal(needsActivity(pullRequest({ updated_at: daysAgo(8) }), opts), true);
+  assert.equal(needsActivity(pullRequest({ updated_at: daysAgo(2), labels: [{ name: "stale" }] }), opts), true);
+  assert.equal(needsActivity(pullRequest({ updated_at: daysAgo(6), labels: [{ name: "wip" }] }), opts), true);
+});
@@ -0,0 +1,132 @@
+// Fixture data shaped like GitHub REST responses (trimmed to the fields the
+// action reads). Timestamps are relative to now so staleness stays stable.
+
+const HEAD_SHA = "a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0";
+const BASE_SHA = "0f9e8d7c6b5a4f3e2d1c0b9a8f7e6d5c4b3a2f1e";
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function user(login) {
+  return { login, type: "User" };
+}
+
+function pullRequest(overrides = {}) {
+  const number = overrides.number ?? 42;
+  return {
+    number,
+    html_url: `https://github.test/acme/widgets/pull/${number}`,
+    state: "open",
+    title: "Add widget caching",
+    body: "Caches widgets.",
+    draft: false,
+    mergeable: true,
+    user: user("octo-author"),
+    created_at: daysAgo(1),
+    updated_at: daysAgo(0.5),
+    head: { sha: HEAD_SHA, ref: "feature/cache" },
+    base: { sha: BASE_SHA, ref: "main" },
+    labels: [],
+    requested_reviewers: [],
+    requested_teams: [],
+    ...overrides
+  };
+}
+
+function file(filename, additions, deletions = 0, status = "modified") {
+  return { filename, additions, deletions, changes: additions + deletions, status };
+}
+
+function commit(sha, login, days) {
+  return { sha, author: login ? user(login) : null, commit: { author: { date: daysAgo(days) } } };
+}
+
+function checkRun(name, conclusion, status = "completed") {
+  return { name, status, conclusion };
+}
+
+function commitStatus(context, state, days = 0) {
+  return { context, state, created_at: daysAgo(days), updated_at: daysAgo(days), target_url: `https://ci.test/${context}` };
+}
+
+// A compare response for `${headSha}...${base}`: `behind` commits on the base
+// branch since a merge base `syncedDays` old, touching `files`.
+function baseComparison({ behind = 0, syncedDays = 1, files = [] } = {}) {
+  return {
+    ahead_by: behind,
+    merge_base_commit: { sha: BASE_SHA, commit: { committer: { date: daysAgo(syncedDays) } } },
+    files: files.map((filename) => ({ filename }))
+  };
+}
+
+function review(login, state, days) {
+  return { user: user(login), state, submitted_at: daysAgo(days) };
+}
+
+// A GraphQL review thread node; `comments` is a list of [login, daysAgo].
+function reviewThread({ path = "src/cache.js", line = 10, resolved = false, outdated = false, comments }) {
+  const nodes = comments.map(([login, days], i) => ({ author: { login }, createdAt: daysAgo(days), url: `https://github.test/r/${path}#${i}` }));
+  return {
+    isResolved: resolved,
+    isOutdated: outdated,
+    path,
+    line,
+    comments: { nodes: nodes.slice(0, 1) },
+    lastComment: { nodes: nodes.slice(-1) }
+  };
+}
+
+/**
+ * A small, healthy PR: three files, green checks, no reviews yet, history for
+ * two maintainers and a CODEOWNERS file.
+ */
+function basicScenario(overrides = {}) {
+  const pr = pullRequest(overrides.pr);
+  return {
+    pulls: { [pr.number]: pr },
+    files: {
+      [pr.number]: [
+        file("src/cache.js", 60, 10),
+        file("src/cache.test.js", 40),
+        file("package-lock.json", 300, 200)
+      ]
+    },
+    reviews: { [pr.number]: [] },
+    reviewThreads: { [pr.number]: [] },
+    checkRuns: {
+      [pr.head.sha]: [checkRun("build", "success"), checkRun("lint", "success")]
+    },
+    commits: {
+      "src/cache.js": [commit("c1", "maintainer-ann", 3), commit("c2", "maintainer-ann", 10), commit("c3", "dev-ben", 20)],
+      "src/cache.test.js": [commit("c4", "dev-ben", 5)]
+    },
+    contents: {
+      ".github/CODEOWNERS": "/src/** @maintainer-ann\n"
+    },
+    compare: { [`${pr.head.sha}...${pr.base.ref}`]: baseComparison() },
+    pullList: [],
+    ...overrides.extra
+  };
+}
+
+function prPayload(pr) {
+  return { pull_request: pr };
+}
+
+export {
+  HEAD_SHA,
+  BASE_SHA,
+  daysAgo,
+  user,
+  pullRequest,
+  file,
+  commit,
+  checkRun,
+  commitStatus,
+  baseComparison,
+  review,
+  reviewThread,
+  basicScenario,
+  prPayload
+};
@@ -0,0 +1,304 @@
+import http from "node:http";
+
+// A minimal in-memory GitHub REST API. Routes are matched on method + path;
+// anything unrouted answers 404 and is recorded in `unhandled` so tests can
+// spot endpoints a change started calling. GraphQL requests are dispatched on
+// the operation name.
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function encodeContent(text) {
+  return { type: "file", encoding: "base64", content: Buffer.from(text, "utf8").toString("base64"), sha: "blob-sha" };
+}
+
+function toGraphqlAuthor(u) {
+  return u ? { __typename: u.type === "Bot" ? "Bot" : "User", login: u.login } : null;
+}
+
+const CHANGE_TYPES = { added: "ADDED", removed: "DELETED", modified: "MODIFIED", changed: "CHANGED", renamed: "RENAMED", copied: "COPIED" };
+
+function filesConnection(files, first, after) {
+  const start = after ? Number(after) : 0;
+  const end = start + first;
+  return {
+    pageInfo: { hasNextPage: end < files.length, endCursor: String(end) },
+    nodes: files.slice(start, end).map((f) => ({ path: f.filename, additions: f.additions, deletions: f.deletions, changeType: CHANGE_TYPES[f.status] || "MODIFIED" }))
+  };
+}
+
+function pageOf(list, q) {
+  const page = Number(q.get("page") || 1);
+  const perPage = Number(q.get("per_page") || 30);
+  return list.slice((page - 1) * perPage, page * perPage);
+}
+
+// Builds a GraphQL PullRequestData node from the scenario's REST fixtures.
+function pullRequestNode(scenario, v) {
+  const pr = scenario.pulls?.[v.number];
+  if (!pr) return null;
+  const runs = (scenario.checkRuns?.[pr.head.sha] || []).map((r) => ({
+    __typename: "CheckRun", databaseId: r.id ?? null, name: r.name,
+    status: r.status.toUpperCase(), conclusion: r.conclusion ? r.conclusion.toUpperCase() : null,
+    startedAt: r.started_at ?? null, completedAt: r.completed_at ?? null, detailsUrl: r.html_url ?? null,
+    title: r.output?.title ?? null, summary: r.output?.summary ?? null, text: r.output?.text ?? null,
+    checkSuite: { databaseId: r.check_suite?.id ?? null, app: r.app ? { slug: r.app.slug } : null }
+  }));
+  const statuses = (scenario.statuses?.[pr.head.sha] || []).map((s) => ({
+    __typename: "StatusContext", context: s.context, state: s.state.toUpperCase(), createdAt: s.created_at, targetUrl: s.target_url
+  }));
+  const threads = scenario.reviewThreads?.[v.number] || [];
+  return {
+    id: `PR_${pr.number}`,
+    number: pr.number,
+    title: pr.title,
+    body: pr.body,
+    url: pr.html_url,
+    state: pr.state.toUpperCase(),
+    isDraft: pr.draft,
+    mergeable: pr.mergeable === true ? "MERGEABLE" : pr.mergeable === false ? "CONFLICTING" : "UNKNOWN",
+    reviewDecision: null,
+    createdAt: pr.created_at,
+    updatedAt: pr.updated_at,
+    additions: pr.additions ?? 0,
+    deletions: pr.deletions ?? 0,
+    changedFiles: pr.changed_files ?? 0,
+    author: toGraphqlAuthor(pr.user),
+    baseRefName: pr.base.ref,
+    baseRefOid: pr.base.sha,
+    baseRepository: pr.base.repo ? { url: pr.base.repo.html_url } : null,
+    headRefName: pr.head.ref,
+    headRefOid: pr.head.sha,
+    labels: { nodes: pr.labels.map((l) => ({ name: l.name })) },
+    milestone: pr.milestone ? { title: pr.milestone.title } : null,
+    reviewRequests: {
+      nodes: [
+        ...pr.requested_reviewers.map((u) => ({ requestedReviewer: { __typename: "User", login: u.login } })),
+        ...pr.requested_teams.map((t) => ({ requestedReviewer: { __typename: "Team", slug: t.slug } }))
+      ]
+    },
+    reviews: {
+      nodes: (scenario.reviews?.[v.number] || []).map((r) => ({ author: toGraphqlAuthor(r.user), state: r.state, submittedAt: r.submitted_at }))
+    },
+    ...(v.withFiles ? { files: filesConnection(scenario.files?.[v.number] || [], v.files) } : {}),
+    reviewThreads: { pageInfo: { hasNextPage: threads.length > 100 }, nodes: threads.slice(0, 100) },
+    commits: { nodes: [{ commit: { statusCheckRollup: { contexts: { nodes: [...runs, ...statuses].slice(0, v.checks) } } } }] }
+  };
+}
+
+function createFakeGitHub(scenario) {
+  const state = {
+    requests: [],
+    unhandled: [],
+    comments: [...(scenario.comments || [])],
+    labels: [...(scenario.labels || [])],
+    requestedReviewers: [],
+    closed: [],
+    drafted: [],
+    nextCommentId: 1000
+  };
+
+  const graphqlOperations = {
+    PullRequestData: (v) => ({ repository: { pullRequest: pullRequestNode(scenario, v) } }),
+    LinkedIssues: (v) => ({
+      repository: { pullRequest: { closingIssuesReferences: { nodes: scenario.linkedIssues?.[v.number] || [] } } }
+    }),
+    // `scenario.blame[path]` holds `{ start, end, login }` ranges at the base commit.
+    Blame: (v) => {
+      const commit = {};
+      for (let i = 0; `p${i}` in v; i++) {
+        const ranges = scenario.blame?.[v[`p${i}`]];
+        commit[`f${i}`] = ranges && {
+          ranges: ranges.map((r) => ({ startingLine: r.start, endingLine: r.end, commit: { author: { user: r.login ? { login: r.login } : null } } }))
+        };
+      }
+      return { repository: { object: commit } };
+    },
+    // `scenario.userStatus[login]` holds a GraphQL UserStatus.
+    UserStatuses: (v) => {
+      const users = {};
+      for (let i = 0; `l${i}` in v; i++) users[`u${i}`] = { status: scenario.userStatus?.[v[`l${i}`]] || null };
+      return users;
+    },
+    // `scenario.recentReviews["owner/repo"]` holds PR nodes with their reviews.
+    RecentReviews: (v) => ({
+      search: {
+        pageInfo: { hasNextPage: false, endCursor: null },
+        nodes: scenario.recentReviews?.[v.search.match(/repo:(\S+)/)[1]] || []
+      }
+    }),
+    PullRequestFiles: (v) => ({
+      repository: { pullRequest: { files: filesConnection(scenario.files?.[v.number] || [], v.first, v.cursor) } }
+    }),
+    ReviewThreads: (v) => ({
+      repository: {
+        pullRequest: {
+          reviewThreads: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: scenario.reviewThreads?.[v.number] || [] }
+        }
+      }
+    }),
+    ConvertToDraft: (v) => {
+      state.drafted.push(v.id);
+      return { convertPullRequestToDraft: { pullRequest: { isDraft: true } } };
+    }
+  };
+
+  const routes = [
+    ["POST", /^\/graphql$/, (m, q, body) => {
+      const operation = body.query?.match(/(?:query|mutation)\s+(\w+)/)?.[1];
+      const resolve = graphqlOperations[operation];
+      if (scenario.graphqlErrors?.includes(operation)) {
+        return [200, { errors: [{ message: `Something went wrong while executing ${operation}` }] }];
+      }
+      if (!resolve) {
+        state.unhandled.push(`GRAPHQL ${operation || "anonymous"}`);
+        return [200, { errors: [{ message: `Unhandled operation ${operation}` }] }];
+      }
+      return [200, { data: resolve(body.variables || {}) }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/pulls\/(\d+)$/, (m) => {
+      const pr = scenario.pulls?.[m[1]];
+      return pr ? [200, pr] : [404, { message: "Not Found" }];
+    }],
+    ["PATCH", /^\/repos\/[^/]+\/[^/]+\/pulls\/(\d+)$/, (m, q, body) => {
+      if (body.state === "closed") state.closed.push(Number(m[1]));
+      return [200, { ...scenario.pulls?.[m[1]], ...body }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/pulls\/(\d+)\/files$/, (m, q) => {
+      const files = scenario.files?.[m[1]] || [];
+      const page = Number(q.get("page") || 1);
+      const perPage = Number(q.get("per_page") || 30);
+      return [200, files.slice((page - 1) * perPage, page * perPage)];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/pulls\/(\d+)\/reviews$/, (m, q) => [200, pageOf(scenario.reviews?.[m[1]] || [], q)]],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/pulls\/(\d+)\/commits$/, (m) => [200, scenario.pullCommits?.[m[1]] || []]],
+    ["POST", /^\/repos\/[^/]+\/[^/]+\/pulls\/(\d+)\/requested_reviewers$/, (m, q, body) => {
+      state.requestedReviewers.push({ pull: Number(m[1]), ...body });
+      return [201, {}];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/pulls$/, (m, q) => {
+      const wanted = q.get("state") || "open";
+      const list = (scenario.pullList || []).filter((p) => wanted === "all" || p.state === wanted);
+      const page = Number(q.get("page") || 1);
+      const perPage = Number(q.get("per_page") || 30);
+      return [200, list.slice((page - 1) * perPage, page * perPage)];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/commits\/([^/]+)\/check-runs$/, (m) => {
+      const runs = scenario.checkRuns?.[m[1]] || [];
+      return [200, { total_count: runs.length, check_runs: runs }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/check-runs\/(\d+)\/annotations$/, (m) => [200, scenario.annotations?.[m[1]] || []]],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/commits\/([^/]+)\/status$/, (m) => {
+      const statuses = scenario.statuses?.[m[1]] || [];
+      return [200, { state: statuses.length ? "pending" : "success", total_count: statuses.length, statuses }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/git\/commits\/([^/]+)$/, (m) => [200, { sha: m[1], committer: { date: scenario.commitDates?.[m[1]] || null } }]],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/commits$/, (m, q) => {
+      const path = q.get("path");
+      const branch = scenario.branchCommits?.[q.get("sha")];
+      if (branch && path) return [200, branch[path] || []];
+      return [200, (path ? scenario.commits?.[path] : scenario.repoCommits) || []];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/compare\/(.+)$/, (m) => {
+      const compare = scenario.compare?.[decodeURIComponent(m[1])];
+      return compare ? [200, compare] : [404, { message: "Not Found" }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/rules\/branches\/(.+)$/, (m) => [200, scenario.branchRules?.[decodeURIComponent(m[1])] || []]],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/branches\/(.+)\/protection$/, (m) => {
+      const protection = scenario.branchProtection?.[decodeURIComponent(m[1])];
+      return protection ? [200, protection] : [404, { message: "Branch not protected" }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/branches\/([^/]+)$/, (m) => {
+      const protection = scenario.branchProtection?.[decodeURIComponent(m[1])];
+      return [200, { name: decodeURIComponent(m[1]), protected: Boolean(protection), protection: { enabled: Boolean(protection) } }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/, (m) => {
+      const text = scenario.contents?.[decodeURIComponent(m[1])];
+      return text == null ? [404, { message: "Not Found" }] : [200, encodeContent(text)];
+    }],
+    ["PUT", /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/, (m, q, body) => {
+      scenario.contents = { ...scenario.contents, [decodeURIComponent(m[1])]: Buffer.from(body.content, "base64").toString("utf8") };
+      return [200, { content: { sha: "blob-sha-2" } }];
+    }],
+    ["GET", /^\/orgs\/([^/]+)\/teams\/([^/]+)\/members$/, (m) => {
+      const members = scenario.teams?.[`${m[1]}/${m[2]}`];
+      return members ? [200, members.map((login) => ({ login, type: "User" }))] : [404, { message: "Not Found" }];
+    }],
+    ["GET", /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/, (m) => {
+      const issue = scenario.issues?.[`${m[1]}/${m[2]}#${m[3]}`];
+      return issue ? [200, issue] : [404, { message: "Not Found" }];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/comments$/, (m, q) => [200, pageOf(state.comments.filter((c) => c.issue === Number(m[1])), q)]],
+    ["POST", /^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/comments$/, (m, q, body) => {
+      const comment = {
+        id: state.nextCommentId++,
+        issue: Number(m[1]),
+        body: body.body,
+        created_at: new Date().toISOString(),
+        html_url: `https://github.test/comment/${state.nextCommentId}`
+      };
+      state.comments.push(comment);
+      return [201, comment];
+    }],
+    ["PATCH", /^\/repos\/[^/]+\/[^/]+\/issues\/comments\/(\d+)$/, (m, q, body) => {
+      const comment = state.comments.find((c) => c.id === Number(m[1]));
+      if (!comment) return [404, { message: "Not Found" }];
+      comment.body = body.body;
+      return [200, comment];
+    }],
+    ["DELETE", /^\/repos\/[^/]+\/[^/]+\/issues\/comments\/(\d+)$/, (m) => {
+      state.comments = state.comments.filter((c) => c.id !== Number(m[1]));
+      return [204, undefined];
+    }],
+    ["GET", /^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/labels$/, () => [200, state.labels.map((name) => ({ name }))]],
+    ["POST", /^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/labels$/, (m, q, body) => {
+      for (const l of body.labels || []) {
+        if (!state.labels.includes(l)) state.labels.push(l);
+      }
+      return [200, state.labels.map((name) => ({ name }))];
+    }],
+    ["DELETE", /^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/labels\/(.+)$/, (m) => {
+      state.labels = state.labels.filter((l) => l !== decodeURIComponent(m[2]));
+      return [200, state.labels.map((name) => ({ name }))];
+    }]
+  ];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const body = raw ? JSON.parse(raw) : {};
+      state.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+      const override = scenario.respond?.(req.method, url.pathname, url.searchParams, body);
+      if (override) return json(res, override[0], override[1], override[2]);
+
+      for (const [method, re, handler] of routes) {
+        const m = req.method === method && url.pathname.match(re);
+        if (m) {
+          const [status, payload, headers] = handler(m, url.searchParams, body);
+          return json(res, status, payload, headers);
+        }
+      }
+
+      state.unhandled.push(`${req.method} ${url.pathname}`);
+      return json(res, 404, { message: "Not Found" });
+    });
+  });
+
+  return {
+    state,
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    async stop() {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+export { createFakeGitHub };
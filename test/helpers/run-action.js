@@ -0,0 +1,76 @@
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createFakeGitHub } from "./fake-github.js";
+
+const ENTRY = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../index.js");
+
+function parseOutputFile(text) {
+  const outputs = {};
+  const re = /^([^<\n]+)<<(\S+)\n([\s\S]*?)\n\2$/gm;
+  for (const m of text.matchAll(re)) outputs[m[1]] = m[3];
+  return outputs;
+}
+
+/**
+ * Runs index.js in a child process against a fake GitHub API serving
+ * `scenario`, and returns what the action did: the comments it left, labels,
+ * outputs, the step summary, the log and every API request.
+ */
+async function runAction(scenario, { inputs = {}, event = "pull_request", payload = {} } = {}) {
+  const fake = createFakeGitHub(scenario);
+  const apiUrl = await fake.start();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-advisor-test-"));
+
+  const eventPath = path.join(dir, "event.json");
+  const outputPath = path.join(dir, "output.txt");
+  const summaryPath = path.join(dir, "summary.md");
+  fs.writeFileSync(eventPath, JSON.stringify(payload));
+  fs.writeFileSync(outputPath, "");
+  fs.writeFileSync(summaryPath, "");
+
+  const env = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    GITHUB_API_URL: apiUrl,
+    GITHUB_REPOSITORY: "acme/widgets",
+    GITHUB_EVENT_NAME: event,
+    GITHUB_EVENT_PATH: eventPath,
+    GITHUB_OUTPUT: outputPath,
+    GITHUB_STEP_SUMMARY: summaryPath,
+    INPUT_GITHUB_TOKEN: "test-token"
+  };
+  for (const [name, value] of Object.entries(inputs)) {
+    env[`INPUT_${name.toUpperCase()}`] = String(value);
+  }
+
+  try {
+    const { stdout, code } = await new Promise((resolve) => {
+      execFile(process.execPath, [ENTRY], { env, timeout: 30000 }, (err, out) => {
+        resolve({ stdout: out, code: err ? (err.code ?? 1) : 0 });
+      });
+    });
+
+    return {
+      code,
+      log: stdout,
+      failed: /^::error::/m.test(stdout),
+      outputs: parseOutputFile(fs.readFileSync(outputPath, "utf8")),
+      summary: fs.readFileSync(summaryPath, "utf8"),
+      comments: fake.state.comments,
+      labels: fake.state.labels,
+      requestedReviewers: fake.state.requestedReviewers,
+      closed: fake.state.closed,
+      drafted: fake.state.drafted,
+      requests: fake.state.requests,
+      unhandled: fake.state.unhandled
+    };
+  } finally {
+    await fake.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+export { runAction };
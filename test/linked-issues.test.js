@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseClosingReferences, linkedIssueWarnings } from "../lib/linked-issues.js";
+import { pullRequest } from "./fixtures/scenarios.js";
+
+const here = { owner: "acme", repo: "widgets" };
+
+function issue(overrides = {}) {
+  return { owner: "acme", repo: "widgets", number: 1, state: "open", labels: [], milestone: null, assignees: [], ...overrides };
+}
+
+test("parseClosingReferences reads keywords, cross-repo refs and issue URLs", () => {
+  const body = [
+    "Fixes #12 and closes acme/api#3.",
+    "Resolves: https://github.com/acme/web/issues/7",
+    "Related to #99. <!-- fixes #100 -->",
+    "FIXED #12"
+  ].join("\n");
+
+  assert.deepEqual(parseClosingReferences(body, here), [
+    { owner: "acme", repo: "widgets", number: 12 },
+    { owner: "acme", repo: "api", number: 3 },
+    { owner: "acme", repo: "web", number: 7 }
+  ]);
+  assert.deepEqual(parseClosingReferences("prefix#12 fix#1", here), []);
+});
+
+test("linkedIssueWarnings flags closed, reassigned and differently milestoned issues", () => {
+  const pr = pullRequest({ milestone: { title: "v1" } });
+
+  assert.deepEqual(linkedIssueWarnings(issue({ milestone: "v1", assignees: ["Octo-Author", "ann"] }), pr), []);
+  assert.deepEqual(linkedIssueWarnings(issue({ state: "closed", assignees: ["ann"], milestone: "v2" }), pr), [
+    { kind: "closed" },
+    { kind: "assigned", assignees: ["ann"] },
+    { kind: "milestone", issue: "v2", pr: "v1" }
+  ]);
+  assert.deepEqual(linkedIssueWarnings(issue({ milestone: "v2" }), pullRequest()), [{ kind: "milestone", issue: "v2", pr: null }]);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pickFromPool, recordRequestedPick } from "../lib/load-balancer.js";
+
+const members = [{ login: "cat", weight: 1 }, { login: "ann", weight: 1 }, { login: "ben", weight: 2 }];
+const everyone = () => true;
+
+test("pickFromPool rotates round-robin in login order after the last pick", () => {
+  const pick = (last, eligible = everyone) => pickFromPool({ members, eligible, counts: new Map(), last, mode: "round_robin" })?.login;
+
+  assert.equal(pick(null), "ann");
+  assert.equal(pick("ann"), "ben");
+  assert.equal(pick("cat"), "ann");
+  assert.equal(pick("ann", (l) => l !== "ben"), "cat");
+  assert.equal(pick("gone"), "ann");
+  assert.equal(pick("ann", () => false), undefined);
+});
+
+test("pickFromPool in weighted mode takes the fewest recent reviews per unit of weight", () => {
+  const pick = (counts, last = null) => pickFromPool({ members, eligible: everyone, counts: new Map(Object.entries(counts)), last, mode: "weighted" }).login;
+
+  assert.equal(pick({ ann: 3, ben: 4, cat: 3 }), "ben");
+  assert.equal(pick({ ann: 2, ben: 6, cat: 2 }), "ann");
+  assert.equal(pick({ ann: 2, ben: 6, cat: 2 }, "ann"), "cat");
+});
+
+test("recordRequestedPick advances the rotation only once the pick is requested", () => {
+  const cache = { data: { rotation: {} }, dirty: false };
+  const balance = { key: "reviewer_pool", pick: "Ben", kept: false };
+
+  assert.equal(recordRequestedPick(cache, balance, { number: 7, requested: ["ann"] }), false);
+  assert.equal(cache.dirty, false);
+  assert.equal(recordRequestedPick(cache, { ...balance, kept: true }, { number: 7, requested: ["ben"] }), false);
+  assert.equal(recordRequestedPick(cache, balance, { number: 7, requested: ["ben"] }), true);
+  assert.equal(cache.data.rotation.reviewer_pool.last, "Ben");
+  assert.equal(cache.data.rotation.reviewer_pool.picks[7].login, "Ben");
+  assert.equal(cache.dirty, true);
+});
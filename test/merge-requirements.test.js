@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateMergeRequirements } from "../lib/merge-requirements.js";
+import { parseCodeowners } from "../lib/codeowners.js";
+
+const none = {
+  sources: [],
+  requiredApprovals: 0,
+  codeOwnerReview: false,
+  requiredChecks: [],
+  strictChecks: false,
+  signedCommits: false,
+  linearHistory: false
+};
+
+test("evaluateMergeRequirements is empty when nothing is required", () => {
+  assert.deepEqual(evaluateMergeRequirements({ requirements: none, approvers: new Set(), checkNames: [] }), []);
+});
+
+test("evaluateMergeRequirements reports approvals, missing checks and code owners", () => {
+  const unmet = evaluateMergeRequirements({
+    requirements: { ...none, requiredApprovals: 2, requiredChecks: ["build", "e2e"], codeOwnerReview: true },
+    approvers: new Set(["dev-ben"]),
+    checkNames: ["build"],
+    files: ["src/cache.js", "README.md"],
+    codeOwnerRules: parseCodeowners("/src/** @acme/core\n"),
+    prAuthor: "octo-author"
+  });
+
+  assert.deepEqual(unmet.map((u) => u.text), [
+    "1 of 2 required approvals.",
+    "Required check `e2e` missing.",
+    "Code owner review required from @acme/core."
+  ]);
+  assert.deepEqual(unmet[1].actors, ["@octo-author"]);
+  assert.deepEqual(unmet[2].actors, ["@acme/core"]);
+});
+
+test("evaluateMergeRequirements accepts an approval from any owner of a file", () => {
+  const unmet = evaluateMergeRequirements({
+    requirements: { ...none, codeOwnerReview: true },
+    approvers: new Set(["ann"]),
+    checkNames: [],
+    files: ["src/cache.js"],
+    codeOwnerRules: parseCodeowners("/src/** @ann @ben\n")
+  });
+
+  assert.deepEqual(unmet, []);
+});
+
+test("evaluateMergeRequirements accepts an approval from a member of an owning team", () => {
+  const requirements = { ...none, codeOwnerReview: true };
+  const base = { requirements, checkNames: [], files: ["src/cache.js"], codeOwnerRules: parseCodeowners("/src/ @acme/core\n") };
+
+  assert.deepEqual(evaluateMergeRequirements({ ...base, approvers: new Set(["ann"]), teamMembers: new Map([["acme/core", ["ann", "ben"]]]) }), []);
+  assert.deepEqual(evaluateMergeRequirements({ ...base, approvers: new Set(["ann"]) }).map((u) => u.text), [
+    "Code owner review required from @acme/core."
+  ]);
+});
+
+test("evaluateMergeRequirements checks signatures and merge commits", () => {
+  const commits = [
+    { sha: "a", parents: [{}], commit: { verification: { verified: true } } },
+    { sha: "b", parents: [{}, {}], commit: { verification: { verified: false } } }
+  ];
+  const unmet = evaluateMergeRequirements({
+    requirements: { ...none, signedCommits: true, linearHistory: true },
+    approvers: new Set(),
+    checkNames: [],
+    commits
+  });
+
+  assert.deepEqual(unmet.map((u) => u.kind), ["signatures", "linear_history"]);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCheckRuns, loadPullRequestData } from "../lib/pr-data.js";
+
+function prNode(overrides = {}) {
+  return {
+    id: "PR_1", number: 7, title: "Fix", url: "https://github.test/acme/widgets/pull/7", state: "OPEN",
+    isDraft: false, mergeable: "UNKNOWN", reviewDecision: "REVIEW_REQUIRED",
+    createdAt: "2026-01-01T00:00:00Z", updatedAt: "2026-01-02T00:00:00Z",
+    additions: 3, deletions: 1, changedFiles: 150,
+    author: { __typename: "User", login: "octo-author" },
+    baseRefName: "main", baseRefOid: "base", headRefName: "fix", headRefOid: "head",
+    baseRepository: { url: "https://github.test/acme/widgets" },
+    labels: { nodes: [{ name: "bug" }] },
+    reviewRequests: { nodes: [{ requestedReviewer: { __typename: "User", login: "ann" } }, { requestedReviewer: { __typename: "Team", slug: "core" } }] },
+    reviews: { nodes: [{ author: { __typename: "Bot", login: "ci-bot" }, state: "COMMENTED", submittedAt: "2026-01-02T00:00:00Z" }] },
+    reviewThreads: { pageInfo: { hasNextPage: false }, nodes: [] },
+    commits: { nodes: [{ commit: { statusCheckRollup: null } }] },
+    ...overrides
+  };
+}
+
+function filePage(from, to, hasNextPage) {
+  const nodes = [];
+  const changeTypes = ["ADDED", "DELETED", "MODIFIED", "CHANGED", "RENAMED"];
+  for (let i = from; i < to; i++) nodes.push({ path: `src/f${i}.js`, additions: 1, deletions: 0, changeType: changeTypes[i % changeTypes.length] });
+  return { pageInfo: { hasNextPage, endCursor: String(to) }, nodes };
+}
+
+test("toCheckRuns converts rollup contexts to REST-shaped runs", () => {
+  const runs = toCheckRuns([
+    { __typename: "CheckRun", databaseId: 5, name: "build", status: "COMPLETED", conclusion: "FAILURE", detailsUrl: "https://ci.test/5", summary: "boom", checkSuite: { databaseId: 9, app: { slug: "github-actions" } } },
+    { __typename: "StatusContext", context: "deploy", state: "EXPECTED", createdAt: "2026-01-01T00:00:00Z", targetUrl: null }
+  ]);
+  assert.deepEqual(runs.map((r) => [r.name, r.status, r.conclusion]), [["build", "completed", "failure"], ["deploy", "in_progress", null]]);
+  assert.equal(runs[0].id, 5);
+  assert.equal(runs[0].output.summary, "boom");
+  assert.deepEqual([runs[0].app, runs[0].check_suite], [{ slug: "github-actions" }, { id: 9 }]);
+  assert.equal(runs[1].source, "status");
+});
+
+test("loadPullRequestData maps the PR and pages through files", async () => {
+  const calls = [];
+  const octokit = {
+    graphql: async (query, vars) => {
+      calls.push(vars);
+      if (/query PullRequestData/.test(query)) return { repository: { pullRequest: prNode({ files: filePage(0, 100, true) }) } };
+      return { repository: { pullRequest: { files: filePage(100, 150, false) } } };
+    }
+  };
+
+  const data = await loadPullRequestData(octokit, { owner: "acme", repo: "widgets", number: 7, maxFiles: 500, maxChecks: 50 });
+
+  assert.equal(data.source, "graphql");
+  assert.equal(data.files.length, 150);
+  assert.deepEqual(data.files[0], { filename: "src/f0.js", additions: 1, deletions: 0, changes: 1, status: "added" });
+  assert.deepEqual(data.files.slice(1, 5).map((f) => f.status), ["removed", "modified", "modified", "renamed"]);
+  assert.deepEqual(data.pr.base.repo, { html_url: "https://github.test/acme/widgets" });
+  assert.deepEqual(calls.map((c) => c.cursor ?? null), [null, "100"]);
+  assert.equal(data.pr.mergeable, null);
+  assert.deepEqual(data.pr.requested_reviewers, [{ login: "ann", type: "User" }]);
+  assert.deepEqual(data.pr.requested_teams, [{ slug: "core" }]);
+  assert.deepEqual(data.pr.labels, [{ name: "bug" }]);
+  assert.equal(data.reviews[0].user.type, "Bot");
+  assert.deepEqual(data.threads, []);
+  assert.deepEqual(data.checkRuns, []);
+});
+
+test("loadPullRequestData leaves review threads to analyzeState when they span pages", async () => {
+  const octokit = {
+    graphql: async () => ({ repository: { pullRequest: prNode({ reviewThreads: { pageInfo: { hasNextPage: true }, nodes: [] } }) } })
+  };
+  const data = await loadPullRequestData(octokit, { owner: "acme", repo: "widgets", number: 7, maxChecks: 50, withFiles: false });
+  assert.equal(data.files, null);
+  assert.equal(data.threads, null);
+});
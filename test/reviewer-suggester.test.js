@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankCandidates, selectReviewersToRequest } from "../lib/reviewer-suggester.js";
+import { parseCodeowners } from "../lib/codeowners.js";
+
+const weights = { commitHistory: 1, codeowners: 4, blame: 2, latency: 1 };
+
+test("rankCandidates combines commit history and CODEOWNERS and skips the author and bots", () => {
+  const ranked = rankCandidates({
+    fileAuthors: [{ path: "src/a.js", authors: ["ben", "ann", "octo-author", "renovate[bot]"] }],
+    prAuthor: "octo-author",
+    codeownersRules: parseCodeowners("*.js @ann\n"),
+    changedFiles: ["src/a.js"],
+    latencyMap: new Map(),
+    weights,
+    crossRepoExpertise: new Map(),
+    timezoneData: null,
+    requiredReviewers: []
+  });
+
+  assert.deepEqual(ranked.map((r) => [r.login, r.score]), [["ann", 6], ["ben", 3]]);
+  assert.deepEqual(ranked[0].reasons, ["recent commits", "CODEOWNERS"]);
+  assert.deepEqual(ranked[0].contributions, { commits: 2, codeowners: 4 });
+  assert.deepEqual(ranked[0].multipliers, {});
+});
+
+test("rankCandidates ranks the authors of the changed lines above recent committers", () => {
+  const ranked = rankCandidates({
+    fileAuthors: [{ path: "src/a.js", authors: ["reformatter"] }],
+    lineOwners: new Map([["ann", { lines: 40, share: 0.9 }], ["ben", { lines: 1, share: 0.02 }]]),
+    prAuthor: "octo-author",
+    codeownersRules: [],
+    changedFiles: ["src/a.js"],
+    latencyMap: new Map(),
+    weights,
+    crossRepoExpertise: new Map(),
+    timezoneData: null,
+    requiredReviewers: []
+  });
+
+  assert.deepEqual(ranked.map((r) => [r.login, r.score]), [["ann", 5], ["reformatter", 3], ["ben", 1]]);
+  assert.deepEqual(ranked[0].reasons, ["wrote 40 changed lines"]);
+  assert.deepEqual(ranked[2].reasons, ["wrote 1 changed line"]);
+});
+
+test("rankCandidates expands owning teams at half weight and keeps unknown teams as teams", () => {
+  const ranked = rankCandidates({
+    fileAuthors: [],
+    prAuthor: "octo-author",
+    codeownersRules: parseCodeowners("/src/ @ann @acme/web @acme/ops\n"),
+    teamMembers: new Map([["acme/web", ["ann", "ben", "octo-author"]]]),
+    changedFiles: ["src/a.js", "src/b.js"],
+    latencyMap: new Map(),
+    weights,
+    crossRepoExpertise: new Map(),
+    timezoneData: null,
+    requiredReviewers: []
+  });
+
+  assert.deepEqual(ranked.map((r) => [r.login, r.score]), [["ann", 8], ["acme/ops", 8], ["ben", 4]]);
+  assert.deepEqual(ranked[0].reasons, ["CODEOWNERS"]);
+  assert.deepEqual(ranked[2].reasons, ["CODEOWNERS (@acme/web)"]);
+});
+
+test("rankCandidates adds required reviewers even without other signals", () => {
+  const ranked = rankCandidates({
+    fileAuthors: [],
+    prAuthor: "octo-author",
+    codeownersRules: [],
+    changedFiles: [],
+    latencyMap: new Map([["cat", 3]]),
+    weights,
+    crossRepoExpertise: new Map(),
+    timezoneData: null,
+    requiredReviewers: ["dan"]
+  });
+
+  assert.deepEqual(ranked.map((r) => r.login), ["dan", "cat"]);
+  assert.deepEqual(ranked.map((r) => r.contributions), [{ required: 10 }, { latency: 6 }]);
+  assert.deepEqual(ranked[0].reasons, ["required reviewer"]);
+  assert.deepEqual(ranked[1].reasons, ["fast reviewer (~3h median)"]);
+});
+
+test("selectReviewersToRequest skips users already requested or who reviewed, and requests teams", () => {
+  const selection = selectReviewersToRequest({
+    suggestions: [{ login: "ann" }, { login: "ben" }, { login: "acme/web" }, { login: "cat" }],
+    count: 2,
+    prAuthor: "octo-author",
+    requestedReviewers: [{ login: "ann" }],
+    requestedTeams: [],
+    reviews: [{ user: { login: "ben" } }]
+  });
+
+  assert.deepEqual(selection.reviewers, ["cat"]);
+  assert.deepEqual(selection.teamReviewers, ["web"]);
+  assert.deepEqual(selection.skipped.map((s) => s.reason), ["already requested", "already reviewed"]);
+});
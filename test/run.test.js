@@ -0,0 +1,566 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runAction } from "./helpers/run-action.js";
+import { basicScenario, prPayload, pullRequest, user, file, daysAgo, commit, checkRun, commitStatus, baseComparison, review, reviewThread, HEAD_SHA } from "./fixtures/scenarios.js";
+
+function advisorComment(result) {
+  const c = result.comments.find((x) => x.body.includes("<!-- pr-advisor:v0 -->"));
+  assert.ok(c, `expected a PR Advisor comment; log:\n${result.log}`);
+  return c.body;
+}
+
+test("posts one comment with all three sections for a pull_request event", async () => {
+  const scenario = basicScenario();
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]) });
+
+  assert.equal(result.failed, false, result.log);
+  assert.deepEqual(result.unhandled, []);
+  const body = advisorComment(result);
+  assert.match(body, /#### Size Summary/);
+  assert.match(body, /#### PR State/);
+  assert.match(body, /#### Reviewer Suggestions/);
+  assert.match(body, /Size: \*\*S\*\*/);
+  assert.match(body, /_\(1 generated\/lock file excluded\)_/);
+  assert.match(body, /- @maintainer-ann \(score: \d+, 0 open reviews\) — recent commits, CODEOWNERS/);
+
+  assert.equal(result.outputs.size, "S");
+  assert.equal(result.outputs.total_lines, "110");
+  assert.equal(result.outputs.file_count, "2");
+});
+
+test("loads the PR, files, reviews and checks with one GraphQL query", async () => {
+  const scenario = basicScenario();
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_reviewer: false } });
+
+  assert.equal(result.failed, false, result.log);
+  assert.match(result.log, /Loaded PR #42 via GraphQL\./);
+  const paths = result.requests.map((r) => r.path);
+  assert.equal(paths.filter((p) => /\/pulls\/42(\/files|\/reviews)?$|\/check-runs$|\/status$/.test(p)).length, 0);
+  assert.match(advisorComment(result), /Size: \*\*S\*\*/);
+});
+
+test("falls back to REST when the GraphQL query fails", async () => {
+  const scenario = basicScenario({ extra: { graphqlErrors: ["PullRequestData"] } });
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_reviewer: false } });
+
+  assert.equal(result.failed, false, result.log);
+  assert.match(result.log, /GraphQL query for PR #42 failed .*; falling back to REST\./);
+  assert.match(result.log, /Loaded PR #42 via REST\./);
+  assert.ok(result.requests.some((r) => r.path.endsWith("/pulls/42/files")));
+  assert.match(advisorComment(result), /Size: \*\*S\*\*/);
+});
+
+test("updates the existing comment in place instead of posting a second one", async () => {
+  const scenario = basicScenario({ extra: { comments: [{ id: 7, issue: 42, body: "### PR Advisor\n<!-- pr-advisor:v0 -->\nold", html_url: "https://github.test/c/7" }] } });
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]) });
+
+  assert.equal(result.comments.length, 1);
+  assert.equal(result.comments[0].id, 7);
+  assert.doesNotMatch(result.comments[0].body, /old/);
+});
+
+test("explains failing checks, requested changes and conflicts as blockers", async () => {
+  const pr = pullRequest({ mergeable: false });
+  const scenario = basicScenario({ pr });
+  scenario.checkRuns[HEAD_SHA] = [checkRun("build", "failure"), checkRun("e2e", null, "in_progress")];
+  scenario.reviews[42] = [review("maintainer-ann", "CHANGES_REQUESTED", 0.2)];
+
+  const result = await runAction(scenario, { payload: prPayload(pr), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.doesNotMatch(body, /Size Summary/);
+  assert.match(body, /- PR has \*\*merge conflicts\*\*\./);
+  assert.match(body, /- CI failing: `build`/);
+  assert.match(body, /- CI still running: `e2e`/);
+  assert.match(body, /- Changes requested \(1\)\./);
+  assert.match(body, /\*\*Next action expected from:\*\* @octo-author/);
+});
+
+test("names the likely conflicting files and the base commits that touched them", async () => {
+  const pr = pullRequest({ mergeable: false });
+  const scenario = basicScenario({ pr });
+  scenario.compare = {
+    [`${HEAD_SHA}...main`]: {
+      merge_base_commit: { sha: "mb1", commit: { committer: { date: daysAgo(6) } } },
+      files: [{ filename: "src/cache.js" }, { filename: "README.md" }]
+    }
+  };
+  scenario.branchCommits = {
+    main: { "src/cache.js": [{ ...commit("f00dfeed1234", "dev-cy", 2), html_url: "https://github.test/commit/f00dfeed1234" }, commit("mb1", "dev-ben", 6)] }
+  };
+
+  const result = await runAction(scenario, { payload: prPayload(pr), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.match(body, /\*\*Likely conflicting files:\*\*\n- `src\/cache\.js` — changed on `main` by @dev-cy \(\[f00dfee\]\(https:\/\/github.test\/commit\/f00dfeed1234\)\)\n/);
+  assert.doesNotMatch(body, /README\.md|@dev-ben \(/);
+  assert.match(body, /- PR has \*\*merge conflicts\*\*, likely in `src\/cache\.js` — rebase on `main`\./);
+});
+
+test("checks the description against the PR template and can block on it", async () => {
+  const pr = pullRequest({ body: "## Summary\nCaches widgets.\n\n## Testing\n<!-- How did you test this? -->\n" });
+  const scenario = basicScenario({ pr });
+  scenario.contents[".github/pull_request_template.md"] = "## Summary\n\n## Testing\n<!-- How did you test this? -->\n";
+
+  const result = await runAction(scenario, {
+    payload: prPayload(pr),
+    inputs: { enable_size: false, enable_reviewer: false, enable_description: true, description_blocking: true }
+  });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.match(body, /#### Description\n\n- Template section "Testing" is empty\.\n- No linked issue \(e\.g\. "Fixes #123"\)\.\n- No test plan describing how the change was tested\.\n- Description is only 15 characters \(at least 30 expected\)\.\n/);
+  assert.match(body, /_Notes: checked against `\.github\/pull_request_template\.md`; listed as blockers in the PR state\._/);
+  assert.match(body, /- Description incomplete — Template section "Testing" is empty\. No linked issue/);
+  assert.ok(body.indexOf("#### Description") < body.indexOf("#### PR State"));
+  assert.equal(result.outputs.description_findings, "template_empty,linked_issue,test_plan,short");
+});
+
+test("reads CI results reported through commit statuses", async () => {
+  const scenario = basicScenario();
+  scenario.checkRuns[HEAD_SHA] = [];
+  scenario.statuses = { [HEAD_SHA]: [commitStatus("ci/jenkins", "failure"), commitStatus("buildkite", "success")] };
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.doesNotMatch(body, /no checks reported/);
+  assert.match(body, /- CI failing: `ci\/jenkins`/);
+  assert.match(body, /- totals: ✅ 1 \| ❌ 1 /);
+});
+
+test("diagnoses failing checks with annotations and base branch results", async () => {
+  const scenario = basicScenario();
+  scenario.checkRuns[HEAD_SHA] = [
+    { ...checkRun("lint", "failure"), id: 5, html_url: "https://github.test/runs/5" },
+    { ...checkRun("e2e", "failure"), id: 6, output: { summary: "## Results\n3 of 40 specs failed\n" } }
+  ];
+  scenario.checkRuns.main = [checkRun("lint", "success"), checkRun("e2e", "failure")];
+  scenario.annotations = {
+    5: [
+      { path: ".github", start_line: 1, annotation_level: "failure", message: "Process completed with exit code 1." },
+      { path: "src/cache.js", start_line: 14, annotation_level: "failure", title: "no-unused-vars", message: "'ttl' is defined but never used." },
+      { path: "src/cache.js", start_line: 20, annotation_level: "warning", message: "Prefer const." }
+    ]
+  };
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.match(body, /\*\*CI failure diagnosis:\*\*\n- \[`lint`\]\(https:\/\/github.test\/runs\/5\)\n/);
+  assert.match(body, /  - \[`src\/cache.js:14`\]\(https:\/\/github.com\/acme\/widgets\/blob\/a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0\/src\/cache.js#L14\) — no-unused-vars: 'ttl' is defined but never used\./);
+  assert.match(body, /  - Process completed with exit code 1\./);
+  assert.doesNotMatch(body, /Prefer const/);
+  assert.match(body, /- `e2e` — also failing on `main` \(probably not caused by this PR\)\n  - Results\n  - 3 of 40 specs failed/);
+  assert.match(body, /- CI failing: `lint`, `e2e` \(also failing on `main`\)/);
+});
+
+test("marks failing checks with a flaky history as a softer blocker", async () => {
+  const others = [7, 8].map((number) => pullRequest({ number, state: "closed", head: { sha: `other-head-${number}` } }));
+  const scenario = basicScenario({ extra: { pullList: others } });
+  scenario.checkRuns[HEAD_SHA] = [checkRun("build", "success"), checkRun("e2e", "failure")];
+  for (const { head } of others) {
+    scenario.checkRuns[head.sha] = [
+      { ...checkRun("e2e", "failure"), completed_at: "2026-01-01T10:00:00Z" },
+      { ...checkRun("e2e", "success"), completed_at: "2026-01-01T11:00:00Z" }
+    ];
+  }
+  scenario.reviews[42] = [review("maintainer-ann", "APPROVED", 0.1)];
+
+  const result = await runAction(scenario, {
+    payload: prPayload(scenario.pulls[42]),
+    inputs: { enable_size: false, enable_reviewer: false, detect_flaky_checks: true, diagnose_failures: false }
+  });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.match(body, /- failing: `e2e` \(known flaky — try re-running\)/);
+  assert.doesNotMatch(body, /- CI failing:/);
+  assert.match(body, /- Known flaky check\(s\) failing: `e2e` — try re-running\./);
+});
+
+test("reports unresolved review threads and who they wait on", async () => {
+  const scenario = basicScenario();
+  scenario.reviews[42] = [review("maintainer-ann", "APPROVED", 0.1)];
+  scenario.reviewThreads[42] = [
+    reviewThread({ path: "src/cache.js", line: 12, comments: [["maintainer-ann", 0.8], ["octo-author", 0.6]] }),
+    reviewThread({ path: "src/cache.test.js", outdated: true, comments: [["dev-ben", 0.4]] }),
+    reviewThread({ resolved: true, comments: [["dev-ben", 0.9]] })
+  ];
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.match(body, /- unresolved threads: 2 \(1 outdated\)/);
+  assert.match(body, /- oldest unresolved thread: \[`src\/cache.js:12`\]\(https:\/\/github.test\/r\/src\/cache.js#0\), today, waiting on @maintainer-ann/);
+  assert.match(body, /- 2 unresolved review thread\(s\) — waiting on @maintainer-ann, @octo-author\./);
+  assert.match(body, /\*\*Next action expected from:\*\* @maintainer-ann, @octo-author/);
+});
+
+test("lists unmet branch rules instead of calling the PR ready", async () => {
+  const scenario = basicScenario();
+  scenario.reviews[42] = [review("dev-ben", "APPROVED", 0.1)];
+  scenario.branchRules = {
+    main: [
+      { type: "pull_request", parameters: { required_approving_review_count: 2, require_code_owner_review: true } },
+      { type: "required_status_checks", parameters: { required_status_checks: [{ context: "build" }, { context: "e2e" }] } }
+    ]
+  };
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.match(body, /- approvals: 1 \/ 2 required/);
+  assert.match(body, /- 1 of 2 required approvals\./);
+  assert.match(body, /- Required check `e2e` missing\./);
+  assert.match(body, /- Code owner review required from @maintainer-ann\./);
+  assert.doesNotMatch(body, /looks ready to merge/);
+});
+
+test("reports how far the branch is behind and blocks when the base requires up-to-date branches", async () => {
+  const scenario = basicScenario();
+  scenario.reviews[42] = [review("maintainer-ann", "APPROVED", 0.1)];
+  scenario.compare[`${HEAD_SHA}...main`] = baseComparison({ behind: 12, syncedDays: 20, files: ["src/cache.js", "docs/index.md"] });
+  scenario.branchRules = {
+    main: [{ type: "required_status_checks", parameters: { strict_required_status_checks_policy: true, required_status_checks: [{ context: "build" }] } }]
+  };
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.match(body, /\*\*Base branch:\*\* 12 commit\(s\) behind `main` \(last synced 20 days ago\)\n- 1 of this PR's files also changed on `main`: `src\/cache\.js`\n/);
+  assert.match(body, /- Branch is 12 commit\(s\) behind `main`, which requires branches to be up to date before merging\./);
+  assert.doesNotMatch(body, /last synced with `main`/);
+  assert.match(body, /\*\*Next action expected from:\*\* @octo-author/);
+});
+
+test("lists linked issues and warns about closed or reassigned ones", async () => {
+  const pr = pullRequest({ body: "Caches widgets.\n\nFixes #7\nCloses acme/api#3", milestone: { title: "v1" } });
+  const scenario = basicScenario({ pr });
+  scenario.linkedIssues = {
+    42: [{
+      number: 7, title: "Widgets are slow", url: "https://github.test/acme/widgets/issues/7", state: "CLOSED", stateReason: "COMPLETED",
+      repository: { owner: { login: "acme" }, name: "widgets" },
+      labels: { nodes: [{ name: "perf" }] }, milestone: { title: "v1" }, assignees: { nodes: [{ login: "dev-ben" }] }
+    }]
+  };
+  scenario.issues = {
+    "acme/api#3": { title: "Cache API", html_url: "https://github.test/acme/api/issues/3", state: "open", labels: [], milestone: { title: "v2" }, assignees: [] }
+  };
+
+  const result = await runAction(scenario, { payload: prPayload(pr), inputs: { enable_size: false, enable_reviewer: false } });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.ok(body.includes([
+    "**Linked issues:**",
+    "- [#7](https://github.test/acme/widgets/issues/7) Widgets are slow — closed, labels: `perf`, milestone: v1",
+    "  - ⚠️ already closed — does this PR still matter?",
+    "  - ⚠️ assigned to @dev-ben",
+    "- [acme/api#3](https://github.test/acme/api/issues/3) Cache API — open, milestone: v2",
+    "  - ⚠️ milestone v2, PR milestone: v1"
+  ].join("\n")), body);
+});
+
+test("expands CODEOWNERS teams into members and lists files without an owner", async () => {
+  const scenario = basicScenario();
+  scenario.contents[".github/CODEOWNERS"] = "/src/ @acme/core\n/src/*.test.js @acme/qa\n";
+  scenario.teams = { "acme/core": ["maintainer-ann", "dev-cat"] };
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_size: false, max_reviewers: 5 } });
+  const body = advisorComment(result);
+
+  assert.equal(result.failed, false, result.log);
+  assert.match(body, /- @maintainer-ann \(score: \d+, 0 open reviews\) — recent commits, CODEOWNERS \(@acme\/core\)/);
+  assert.match(body, /- @dev-cat \(score: \d+, 0 open reviews\) — CODEOWNERS \(@acme\/core\)/);
+  assert.match(body, /- @acme\/qa \(score: \d+, 0 open reviews\) — CODEOWNERS/);
+  assert.match(body, /\*\*Team coverage:\*\*\n- acme\/core: 2\/\d suggestions/);
+  assert.ok(body.includes("**Files without a code owner:**\n- `package-lock.json`\n"), body);
+  assert.match(result.log, /Could not list members of @acme\/qa/);
+});
+
+test("suggests the authors of the lines the PR changes, blamed at the base commit", async () => {
+  const scenario = basicScenario();
+  scenario.files[42][0].patch = "@@ -10,3 +10,2 @@\n-a\n-b\n+c\n context";
+  scenario.blame = { "src/cache.js": [{ start: 1, end: 10, login: "dev-cat" }, { start: 11, end: 30, login: "dev-ben" }] };
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { enable_size: false, enable_state: false, max_reviewers: 5 } });
+  const body = advisorComment(result);
+
+  assert.deepEqual(result.unhandled, []);
+  assert.ok(result.requests.some((r) => r.path === "/graphql" && r.body.query.includes("query Blame(") && r.body.variables.ref === scenario.pulls[42].base.sha));
+  assert.match(body, /- @dev-cat \(score: \d+, 0 open reviews\) — wrote 1 changed line\n/);
+  assert.match(body, /- @dev-ben \(score: \d+, 0 open reviews\) — recent commits, wrote 1 changed line\n/);
+});
+
+test("skips unavailable reviewers and promotes the next candidate", async () => {
+  const scenario = basicScenario();
+  const today = new Date().toISOString().slice(0, 10);
+  scenario.contents[".github/availability.yml"] = `maintainer-ann:\n  - from: ${today}\n    to: 2099-01-01\n    reason: vacation\n`;
+
+  const excluded = await runAction(scenario, {
+    payload: prPayload(scenario.pulls[42]),
+    inputs: { enable_size: false, enable_state: false, max_reviewers: 1, availability_file: ".github/availability.yml" }
+  });
+  const body = advisorComment(excluded);
+  assert.deepEqual(excluded.unhandled, []);
+  assert.match(body, /- @dev-ben \(score: \d+, 0 open reviews\)/);
+  assert.ok(body.includes("**Skipped (unavailable):**\n- @maintainer-ann — vacation until 2099-01-01\n"), body);
+
+  scenario.userStatus = { "dev-ben": { indicatesLimitedAvailability: true, message: "Parental leave", expiresAt: null } };
+  const penalized = await runAction(scenario, {
+    payload: prPayload(scenario.pulls[42]),
+    inputs: { enable_size: false, enable_state: false, unavailable_reviewers: "penalize" }
+  });
+  assert.match(advisorComment(penalized), /- @dev-ben \(score: \d+, 0 open reviews\) — .*unavailable: busy \("Parental leave"\)\n/);
+  assert.doesNotMatch(advisorComment(penalized), /Skipped \(unavailable\)/);
+});
+
+test("load balancing rotates through the reviewer pool and remembers picks between runs", async () => {
+  const scenario = basicScenario();
+  scenario.contents["reviewer-history.json"] = JSON.stringify({ version: 1, commits: { lastSeen: null, paths: {} }, pulls: { lastSeen: null, items: {} } });
+  scenario.recentReviews = { "acme/widgets": [{ reviews: { nodes: [{ author: { login: "dev-ben" }, submittedAt: daysAgo(2) }] } }] };
+  const inputs = { enable_size: false, enable_state: false, history_cache: true, auto_request: true, load_balancing: "round_robin", reviewer_pool: "dev-ben, dev-cat, @dev-dan" };
+  const run = (extra = {}) => runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { ...inputs, ...extra } });
+
+  const suggestedOnly = await run({ auto_request: false });
+  assert.match(advisorComment(suggestedOnly), /picked @dev-ben from the reviewer pool \(round-robin\)/);
+  assert.deepEqual(JSON.parse(scenario.contents["reviewer-history.json"]).rotation, {});
+
+  const first = await run();
+  assert.match(advisorComment(first), /^- @dev-ben \(score: \d+, 0 open reviews\) — .*picked by load balancing$/m);
+  assert.ok(advisorComment(first).includes("**Load balancing:** picked @dev-ben from the reviewer pool (round-robin). Reviews in the last 30 days: @dev-cat 0, @dev-dan 0, @dev-ben 1.\n"), advisorComment(first));
+  assert.deepEqual(first.requestedReviewers.map((r) => r.reviewers), [["dev-ben"]]);
+  assert.deepEqual(JSON.parse(scenario.contents["reviewer-history.json"]).rotation.reviewer_pool.last, "dev-ben");
+
+  assert.match(advisorComment(await run()), /picked @dev-ben from the reviewer pool \(kept from an earlier run on this PR\)/);
+
+  const third = await run({ exclude_reviewers: "dev-ben" });
+  assert.deepEqual(third.unhandled, []);
+  assert.match(advisorComment(third), /^- @dev-cat \(score: 0\) — picked by load balancing$/m);
+  assert.match(advisorComment(third), /picked @dev-cat from the reviewer pool \(round-robin, next after @dev-ben\)/);
+});
+
+test("saves the history cache only when a run changed it", async () => {
+  const scenario = basicScenario();
+  scenario.contents["reviewer-history.json"] = JSON.stringify({ version: 1, commits: { lastSeen: null, paths: {} }, pulls: { lastSeen: null, items: {} } });
+  const inputs = { enable_size: false, enable_state: false, history_cache: true };
+  const puts = (result) => result.requests.filter((r) => r.method === "PUT" && r.path.endsWith("/contents/reviewer-history.json"));
+
+  const first = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs });
+  assert.equal(puts(first).length, 1, first.log);
+
+  const second = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs });
+  assert.deepEqual(puts(second), [], second.log);
+});
+
+test("history cache re-lists only changed paths and pages closed PRs back to the last one cached", async () => {
+  const closed = Array.from({ length: 130 }, (_, i) => pullRequest({ number: 200 - i, state: "closed", closed_at: daysAgo(i + 1), updated_at: daysAgo(i + 1) }));
+  const scenario = basicScenario({ extra: { pullList: closed } });
+  const items = { 80: { number: 80, createdAt: daysAgo(130), updatedAt: daysAgo(121), firstReviews: {} } };
+  scenario.contents["reviewer-history.json"] = JSON.stringify({ version: 1, commits: { lastSeen: null, paths: {} }, pulls: { lastSeen: daysAgo(120.5), items } });
+  const inputs = { enable_size: false, enable_state: false, history_cache: true };
+  const reviewReads = (result) => result.requests.filter((r) => /\/pulls\/\d+\/reviews$/.test(r.path));
+
+  const first = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs });
+  assert.equal(reviewReads(first).length, 120);
+  assert.deepEqual(first.requests.filter((r) => r.path.endsWith("/pulls") && r.query.state === "closed").map((r) => r.query.page), ["1", "2"]);
+  const cached = JSON.parse(scenario.contents["reviewer-history.json"]);
+  const fetchedAt = daysAgo(1);
+  for (const entry of Object.values(cached.commits.paths)) entry.fetchedAt = fetchedAt;
+  scenario.contents["reviewer-history.json"] = JSON.stringify(cached);
+
+  scenario.repoCommits = [commit("c9", "dev-cat", 0)];
+  const second = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs });
+  const listings = second.requests.filter((r) => r.path.endsWith("/commits"));
+  assert.deepEqual(listings.map((r) => r.query.path || null), [null, "src/cache.js", "src/cache.test.js", "package-lock.json"]);
+  assert.equal(listings[1].query.since, fetchedAt);
+  assert.ok(!second.requests.some((r) => r.path.includes("/commits/c9")));
+  assert.deepEqual(reviewReads(second), []);
+});
+
+test("applies the size label and removes stale size labels", async () => {
+  const scenario = basicScenario({ extra: { labels: ["size:XL", "bug"] } });
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { add_label: true } });
+
+  assert.deepEqual(result.labels.sort(), ["bug", "size:S"]);
+});
+
+test("dry_run logs the comment and exposes suggestions without writing", async () => {
+  const scenario = basicScenario();
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { dry_run: true } });
+
+  assert.equal(result.comments.length, 0);
+  assert.match(result.log, /Dry-run mode: comment body below/);
+  const suggestions = JSON.parse(result.outputs.suggestions_json);
+  assert.equal(suggestions[0].login, "maintainer-ann");
+  assert.ok(result.requests.every((r) => r.method === "GET" || r.path === "/graphql"));
+});
+
+test("show_breakdown renders per-signal points and multipliers, also in the JSON output", async () => {
+  const scenario = basicScenario();
+  scenario.pullList = [pullRequest({ number: 50, requested_reviewers: [user("maintainer-ann")] })];
+  const result = await runAction(scenario, {
+    payload: prPayload(scenario.pulls[42]),
+    inputs: { enable_size: false, enable_state: false, show_breakdown: true, max_reviewers: 1 }
+  });
+
+  assert.ok(advisorComment(result).includes([
+    "| Reviewer | Commits | CODEOWNERS | Load | Score |",
+    "|---|--:|--:|--:|--:|",
+    "| @maintainer-ann | 5 | 8 | ×0.75 (1 open) | **10** |",
+    "| @dev-ben _(not picked)_ | 4 | - | ×1 (0 open) | **4** |"
+  ].join("\n")), advisorComment(result));
+  assert.deepEqual(JSON.parse(result.outputs.suggestions_json), [{
+    login: "maintainer-ann",
+    score: 10,
+    reasons: ["recent commits", "CODEOWNERS"],
+    contributions: { commits: 5, codeowners: 8 },
+    multipliers: { load: 0.75 },
+    openReviews: 1
+  }]);
+});
+
+test("reads settings from the config file and lets inputs override it", async () => {
+  const scenario = basicScenario();
+  scenario.contents[".github/pr-advisor.yml"] = "size:\n  xs_lines: 500\n  xs_files: 5\nreviewer:\n  enabled: false\n";
+
+  const fromFile = await runAction(scenario, { payload: prPayload(scenario.pulls[42]) });
+  assert.equal(fromFile.outputs.size, "XS");
+  assert.doesNotMatch(advisorComment(fromFile), /Reviewer Suggestions/);
+
+  const overridden = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { xs_lines: 50 } });
+  assert.equal(overridden.outputs.size, "S");
+});
+
+test("fails with a clear message on unknown config keys", async () => {
+  const scenario = basicScenario();
+  scenario.contents[".github/pr-advisor.yml"] = "state:\n  stale_dayz: 4\n";
+
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]) });
+  assert.equal(result.failed, true);
+  assert.match(result.log, /unknown key "state\.stale_dayz" \(did you mean "stale_days"\?\)/);
+});
+
+test("skips non pull_request events", async () => {
+  const result = await runAction(basicScenario(), { event: "push" });
+  assert.match(result.log, /Not a pull_request event; skipping\./);
+  assert.equal(result.comments.length, 0);
+});
+
+test("stale sweep comments on stale open PRs only", async () => {
+  const fresh = pullRequest({ number: 1, updated_at: new Date().toISOString() });
+  const stale = pullRequest({ number: 2, updated_at: new Date(Date.now() - 10 * 864e5).toISOString() });
+  const scenario = basicScenario({ extra: { pulls: { 1: fresh, 2: stale }, pullList: [stale, fresh] } });
+
+  const result = await runAction(scenario, { event: "schedule" });
+  assert.equal(result.failed, false, result.log);
+  assert.deepEqual(result.comments.map((c) => c.issue), [2]);
+  assert.match(result.comments[0].body, /No PR activity in \*\*10 days\*\*/);
+  assert.match(result.log, /processed 1 stale PR\(s\) out of 2 open/);
+});
+
+test("stale sweep pages through more than 100 open PRs", async () => {
+  const prs = Array.from({ length: 230 }, (_, i) => pullRequest({ number: i + 1, updated_at: daysAgo(i === 204 ? 9 : 1) }));
+  const scenario = basicScenario({ extra: { pulls: Object.fromEntries(prs.map((p) => [p.number, p])), pullList: prs } });
+
+  const result = await runAction(scenario, { event: "schedule", inputs: { max_prs: 500, sweep_concurrency: 3 } });
+  assert.equal(result.failed, false, result.log);
+  assert.deepEqual(result.comments.map((c) => c.issue), [205]);
+  assert.match(result.log, /processed 1 stale PR\(s\) out of 230 open/);
+  assert.deepEqual(result.requests.filter((r) => /\/pulls$/.test(r.path)).map((r) => r.query.page), ["1", "2", "3"]);
+});
+
+test("stale sweep digest reports all stale PRs in one issue comment", async () => {
+  const old = daysAgo(12);
+  const prs = [
+    pullRequest({ number: 2, title: "Fix a | b parsing", updated_at: old, additions: 2020, deletions: 1505, changed_files: 2, requested_teams: [{ slug: "core" }] }),
+    pullRequest({ number: 3, updated_at: daysAgo(5), additions: 400, deletions: 0, changed_files: 9, requested_reviewers: [user("maintainer-ann")] }),
+    pullRequest({ number: 4, updated_at: daysAgo(0.2) })
+  ];
+  const scenario = basicScenario({ extra: { pulls: Object.fromEntries(prs.map((p) => [p.number, p])), pullList: prs } });
+  scenario.reviews[2] = [review("maintainer-ann", "APPROVED", 12)];
+  scenario.files[2] = [file("src/parse.js", 20, 5), file("package-lock.json", 2000, 1500)];
+  scenario.files[3] = Array.from({ length: 9 }, (_, i) => file(`src/widget-${i}.js`, i === 0 ? 328 : 9));
+  scenario.compare[`${HEAD_SHA}...main`] = baseComparison({ behind: 2, files: ["src/parse.js"] });
+
+  const result = await runAction(scenario, { event: "schedule", inputs: { sweep_digest: true, digest_issue: 99 } });
+  assert.ok(!result.requests.some((r) => r.path.endsWith("/files")));
+
+  assert.deepEqual(result.comments.map((c) => c.issue), [99]);
+  const body = result.comments[0].body;
+  assert.match(body, /<!-- pr-advisor-digest:v0 -->/);
+  assert.match(body, /\*\*2 stale PR\(s\)\*\* with no activity for 3\+ days/);
+  assert.match(body, /#### Waiting on @maintainer-ann \(1\)\n\n\| PR \| Age \| Size \| Blockers \| Requested reviewers \|/);
+  assert.match(body, /\| \[#3\]\(https:\/\/github.test\/acme\/widgets\/pull\/3\) Add widget caching \| 5d \| M \| Awaiting review from: @maintainer-ann<br>No PR activity in \*\*5 days\*\*\. \| @maintainer-ann \|/);
+  assert.match(body, /#### No clear next actor \(1\)/);
+  assert.match(body, /\| \[#2\]\([^)]+\) Fix a \\\| b parsing \| 12d \| XS \| .* \| @acme\/core \|/);
+  assert.match(result.summary, /Stale PR digest/);
+});
+
+test("stale sweep escalates idle PRs and unlabels active ones", async () => {
+  const prs = [
+    pullRequest({ number: 2, created_at: daysAgo(40), updated_at: daysAgo(0.1), labels: [{ name: "stale" }], head: { sha: "head-2" } }),
+    pullRequest({ number: 3, created_at: daysAgo(40), updated_at: daysAgo(8), head: { sha: "head-3" } }),
+    pullRequest({ number: 4, created_at: daysAgo(40), updated_at: daysAgo(20), head: { sha: "head-4" } }),
+    pullRequest({ number: 5, created_at: daysAgo(40), updated_at: daysAgo(2), head: { sha: "head-5" } })
+  ];
+  // PR 3 was pinged 8 days ago and has more than 100 comments; the ping is on the second page.
+  const chatter = Array.from({ length: 120 }, (_, i) => ({ id: 100 + i, issue: 3, created_at: daysAgo(30), body: "old", user: user("dev-ben") }));
+  const scenario = basicScenario({
+    extra: {
+      pulls: Object.fromEntries(prs.map((p) => [p.number, p])),
+      pullList: prs,
+      commitDates: { "head-2": daysAgo(0.5), "head-3": daysAgo(16), "head-4": daysAgo(20), "head-5": daysAgo(20) },
+      comments: [...chatter, { id: 1, issue: 3, created_at: daysAgo(8), body: "ping\n\n<!-- pr-advisor-escalation:v0 stage=ping -->" }]
+    }
+  });
+  const escalation = JSON.stringify([{ days: 7, action: "ping" }, { days: 14, action: "label" }, { days: 30, action: "close" }]);
+
+  const dry = await runAction(scenario, { event: "schedule", inputs: { escalation, dry_run: true } });
+  assert.ok(dry.requests.every((r) => r.method === "GET" || r.path === "/graphql"));
+  assert.ok(!dry.requests.some((r) => r.path.includes("/issues/5/comments") || r.path.includes("/commits/head-5")));
+  assert.match(dry.log, /PR #2: \[dry-run\] would remove label "stale"/);
+  // PRs are swept concurrently, so the summary lists actions in no fixed order.
+  const summary = dry.log.match(/Escalation \(dry run\): (.*)\./)[1];
+  assert.deepEqual(summary.split(", ").sort(), ["label ×1", "ping ×1", "unlabel:stale ×1"]);
+
+  const result = await runAction(scenario, { event: "schedule", inputs: { escalation } });
+  const writes = result.requests.filter((r) => r.method !== "GET" && r.path !== "/graphql").map((r) => `${r.method} ${r.path}`);
+  assert.ok(writes.includes("DELETE /repos/acme/widgets/issues/2/labels/stale"));
+  assert.ok(writes.includes("POST /repos/acme/widgets/issues/3/labels"));
+  const ping = result.comments.find((c) => c.issue === 4 && c.body.includes("stage=ping"));
+  assert.match(ping.body, /@octo-author — this PR has had no activity for \*\*20 days\*\*/);
+  assert.deepEqual(result.closed, []);
+});
+
+test("notes skipped signals when the API request budget runs out", async () => {
+  const scenario = basicScenario();
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { api_request_budget: 8 } });
+
+  const body = advisorComment(result);
+  assert.match(body, /#### Reviewer Suggestions/);
+  assert.match(body, /the API request budget \(8 requests\) ran out, so these signals were skipped: /);
+});
+
+test("the description section degrades when the budget runs out during the template lookup", async () => {
+  const scenario = basicScenario();
+  for (const budget of [2, 3, 4, 6, 8]) {
+    const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { api_request_budget: budget, enable_description: true } });
+    assert.equal(result.failed, false, result.log);
+    assert.match(advisorComment(result), /#### Description/);
+  }
+});
+
+test("still reads reviewer exclusions after the API request budget runs out", async () => {
+  const scenario = basicScenario();
+  scenario.contents[".github/reviewer-config.yml"] = "exclude:\n  - maintainer-ann\n";
+  const result = await runAction(scenario, { payload: prPayload(scenario.pulls[42]), inputs: { api_request_budget: 8, auto_request: true } });
+
+  assert.doesNotMatch(advisorComment(result), /@maintainer-ann \(score/);
+  assert.ok(!result.requestedReviewers.includes("maintainer-ann"));
+});
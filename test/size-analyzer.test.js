@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { filterIgnoredFiles, analyzeSize, validateSizeRules } from "../lib/size-analyzer.js";
+import { file } from "./fixtures/scenarios.js";
+
+const thresholds = { xsLines: 50, sLines: 200, mLines: 500, lLines: 1000, xsFiles: 2, sFiles: 5, mFiles: 15, lFiles: 30 };
+
+test("filterIgnoredFiles drops lock files and generated output", () => {
+  const { counted, ignoredCount } = filterIgnoredFiles(
+    [file("src/a.js", 1), file("package-lock.json", 900), file("dist/index.js", 400)],
+    ["dist/**", "package-lock.json"]
+  );
+  assert.deepEqual(counted.map((f) => f.filename), ["src/a.js"]);
+  assert.equal(ignoredCount, 2);
+});
+
+test("analyzeSize takes the larger of the line and file buckets", () => {
+  const files = Array.from({ length: 16 }, (_, i) => file(`src/f${i}.js`, 1));
+  const result = analyzeSize({ files, thresholds });
+  assert.equal(result.totalChanged, 16);
+  assert.equal(result.size, "L");
+});
+
+test("path rule weights scale lines and files", () => {
+  const files = [file("test/a.test.js", 300), file("src/a.js", 40)];
+  const result = analyzeSize({ files, thresholds, rules: [{ pattern: "test/**", weight: 0.5 }] });
+
+  assert.equal(result.totalChanged, 340);
+  assert.equal(result.weightedChanged, 190);
+  assert.equal(result.size, "S");
+  assert.deepEqual(result.topDirs[0], { dir: "test", files: 1, lines: 300, weightedLines: 150 });
+});
+
+test("path rules with their own thresholds are classified separately", () => {
+  const files = [file("src/core/engine.js", 120), file("docs/guide.md", 10)];
+  const rules = [{ pattern: "src/core/**", thresholds: { xs_lines: 10, s_lines: 50, m_lines: 100 } }];
+  const result = analyzeSize({ files, thresholds, rules });
+
+  assert.equal(result.size, "L");
+  assert.deepEqual(result.pathGroups, [{ pattern: "src/core/**", lines: 120, files: 1, size: "L" }]);
+});
+
+test("validateSizeRules explains what is wrong", () => {
+  assert.equal(validateSizeRules([{ pattern: "a/**", weight: 2 }]), null);
+  assert.match(validateSizeRules({}), /must be a list/);
+  assert.match(validateSizeRules([{ weight: 2 }]), /needs a "pattern"/);
+  assert.match(validateSizeRules([{ pattern: "a", thresholds: { xl_lines: 1 } }]), /unknown threshold "xl_lines"/);
+});
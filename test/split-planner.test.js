@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseImportSpecifiers, resolveSpecifier, planSplit, formatSplitPlan } from "../lib/split-planner.js";
+import { file } from "./fixtures/scenarios.js";
+
+test("parseImportSpecifiers finds ESM, CommonJS and re-export specifiers", () => {
+  const specs = parseImportSpecifiers('import a from "./a.js";\nconst b = require("../b");\nexport * from "./c";\nimport("./d.js");', "src/x.js");
+  assert.deepEqual([...specs].sort(), ["../b", "./a.js", "./c", "./d.js"]);
+});
+
+test("resolveSpecifier maps relative imports onto changed files", () => {
+  const changed = new Set(["src/db/index.ts", "src/util.ts", "pkg/models/user.py"]);
+  assert.equal(resolveSpecifier("./db", "src/app.ts", changed), "src/db/index.ts");
+  assert.equal(resolveSpecifier("./util.js", "src/app.ts", changed), "src/util.ts");
+  assert.equal(resolveSpecifier("lodash", "src/app.ts", changed), null);
+  assert.equal(resolveSpecifier("py:.models.user", "pkg/api.py", changed), "pkg/models/user.py");
+});
+
+test("planSplit keeps tests with their sources and orders groups by imports", () => {
+  const files = [
+    file("src/db/conn.js", 200), file("src/db/conn.test.js", 80),
+    file("src/api/users.js", 300), file("src/api/users.test.js", 100),
+    file("docs/a.md", 50), file("docs/b.md", 20)
+  ];
+  const imports = new Map([["src/api/users.js", ["src/db/conn.js"]]]);
+  const plan = planSplit({ files, imports });
+
+  const groupOf = (f) => plan.find((g) => g.files.includes(f));
+  assert.equal(plan.length, 3);
+  assert.equal(groupOf("src/db/conn.js"), groupOf("src/db/conn.test.js"));
+  assert.equal(groupOf("docs/a.md"), groupOf("docs/b.md"));
+  assert.deepEqual(groupOf("src/api/users.js").dependsOn, [groupOf("src/db/conn.js").order]);
+  assert.ok(groupOf("src/api/users.js").order > groupOf("src/db/conn.js").order);
+});
+
+test("planSplit merges import cycles into one group", () => {
+  const files = [file("src/a.js", 10), file("src/b.js", 10), file("lib/c.js", 10)];
+  const imports = new Map([["src/a.js", ["src/b.js"]], ["src/b.js", ["src/a.js"]]]);
+  const plan = planSplit({ files, imports });
+
+  assert.equal(plan.length, 2);
+  assert.ok(plan.some((g) => g.files.length === 2 && g.reasons.includes("import cycle")));
+});
+
+test("formatSplitPlan names dependencies by group number without issue-style references", () => {
+  const text = formatSplitPlan([
+    { order: 1, lines: 120, files: ["src/db/conn.js"], dependsOn: [], reasons: [] },
+    { order: 2, lines: 80, files: ["src/util.js"], dependsOn: [], reasons: [] },
+    { order: 3, lines: 300, files: ["src/api/users.js"], dependsOn: [1, 2], reasons: [] }
+  ]);
+
+  assert.match(text, /^3\. 300 lines, 1 file — after groups 1, 2: `src\/api\/users\.js`$/m);
+  assert.doesNotMatch(text, /#\d/);
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeReviewThreads, classifyState } from "../lib/state-explainer.js";
+import { summarizeBaseDrift } from "../lib/base-branch.js";
+import { pullRequest } from "./fixtures/scenarios.js";
+
+const noReviews = { approvals: 0, requestedChanges: 0, requestedReviewers: [] };
+const greenChecks = { counts: {}, failing: [], inProgress: [] };
+
+test("classifyState reports a draft PR and points at the author", () => {
+  const { blockers, nextActors } = classifyState({
+    pr: pullRequest({ draft: true }),
+    checksSummary: greenChecks,
+    reviewsSummary: { ...noReviews, approvals: 1 },
+    staleDays: 3,
+    ageDays: 0
+  });
+
+  assert.deepEqual(blockers, ["PR is **Draft**."]);
+  assert.deepEqual(nextActors, ["@octo-author"]);
+});
+
+test("classifyState waits on requested reviewers when there are no approvals", () => {
+  const { blockers, nextActors } = classifyState({
+    pr: pullRequest(),
+    checksSummary: greenChecks,
+    reviewsSummary: { ...noReviews, requestedReviewers: ["ann", "core (team)"] },
+    staleDays: 3,
+    ageDays: 0
+  });
+
+  assert.deepEqual(blockers, ["Awaiting review from: @ann, @core (team)"]);
+  assert.deepEqual(nextActors, ["@ann", "@core (team)"]);
+});
+
+test("classifyState flags staleness and finds nothing else on an approved PR", () => {
+  const { blockers } = classifyState({
+    pr: pullRequest(),
+    checksSummary: greenChecks,
+    reviewsSummary: { ...noReviews, approvals: 2 },
+    staleDays: 3,
+    ageDays: 4.5
+  });
+
+  assert.deepEqual(blockers, ["No PR activity in **4 days**."]);
+});
+
+test("summarizeReviewThreads works out who each unresolved thread is waiting on", () => {
+  const threads = [
+    { resolved: false, outdated: false, path: "a.js", startedBy: "ann", startedAt: "2026-01-02T00:00:00Z", lastBy: "ann" },
+    { resolved: false, outdated: true, path: "b.js", startedBy: "ben", startedAt: "2026-01-01T00:00:00Z", lastBy: "octo-author" },
+    { resolved: true, outdated: false, path: "c.js", startedBy: "ann", startedAt: "2025-12-01T00:00:00Z", lastBy: "ann" }
+  ];
+  const s = summarizeReviewThreads(threads, "octo-author");
+
+  assert.equal(s.total, 3);
+  assert.equal(s.unresolved, 2);
+  assert.equal(s.outdated, 1);
+  assert.equal(s.oldest.path, "b.js");
+  assert.equal(s.oldest.waitingOn, "ben");
+  assert.deepEqual(s.waitingOn, { "octo-author": 1, ben: 1 });
+});
+
+test("classifyState blocks on unresolved threads even with approvals", () => {
+  const { blockers, nextActors } = classifyState({
+    pr: pullRequest(),
+    checksSummary: greenChecks,
+    reviewsSummary: { ...noReviews, approvals: 1 },
+    threadsSummary: { unresolved: 2, outdated: 0, oldest: null, waitingOn: { ben: 1, "octo-author": 1 } },
+    staleDays: 3,
+    ageDays: 0
+  });
+
+  assert.deepEqual(blockers, ["2 unresolved review thread(s) — waiting on @ben, @octo-author."]);
+  assert.deepEqual(nextActors, ["@ben", "@octo-author"]);
+});
+
+test("classifyState does not blame the author for checks that also fail on the base branch", () => {
+  const { blockers, nextActors } = classifyState({
+    pr: pullRequest(),
+    checksSummary: { ...greenChecks, failing: ["e2e"] },
+    reviewsSummary: { ...noReviews, approvals: 1 },
+    ciDiagnosis: { base: "main", checks: [], failingOnBase: ["e2e"] },
+    staleDays: 3,
+    ageDays: 0
+  });
+
+  assert.deepEqual(blockers, ["CI failing: `e2e` (also failing on `main`)"]);
+  assert.deepEqual(nextActors, []);
+});
+
+test("summarizeBaseDrift flags an old base only while base commits are missing", () => {
+  const now = new Date("2026-03-01T00:00:00Z");
+  const comparison = (behindBy) => ({ base: "main", behindBy, mergeBase: { sha: "m", date: "2026-02-01T00:00:00Z" }, overlapping: [] });
+
+  assert.equal(summarizeBaseDrift(comparison(4), { now, maxBaseAgeDays: 14 }).outdated, true);
+  assert.equal(summarizeBaseDrift(comparison(4), { now, maxBaseAgeDays: 30 }).outdated, false);
+  assert.equal(summarizeBaseDrift(comparison(0), { now, maxBaseAgeDays: 14 }).outdated, false);
+  assert.equal(summarizeBaseDrift(comparison(4), { now, maxBaseAgeDays: 0 }).outdated, false);
+  assert.equal(Math.round(summarizeBaseDrift(comparison(4), { now }).syncedDaysAgo), 28);
+});
+
+test("classifyState lists an old base last and only points at the author when nobody else acts", () => {
+  const baseDrift = { base: "main", behindBy: 30, syncedDaysAgo: 21.5, overlapping: [], outdated: true, upToDateRequired: false };
+  const { blockers, nextActors } = classifyState({
+    pr: pullRequest(),
+    checksSummary: greenChecks,
+    reviewsSummary: { ...noReviews, requestedReviewers: ["ann"] },
+    baseDrift,
+    staleDays: 3,
+    ageDays: 0
+  });
+
+  assert.deepEqual(blockers, [
+    "Awaiting review from: @ann",
+    "Branch last synced with `main` 21 days ago (30 commit(s) behind) — update it so CI runs against the current base."
+  ]);
+  assert.deepEqual(nextActors, ["@ann"]);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { listUpTo, mapWithConcurrency } from "../lib/utils.js";
+
+function pagedList(total) {
+  const calls = [];
+  const list = async ({ per_page, page }) => {
+    calls.push(page);
+    const start = (page - 1) * per_page;
+    return { data: Array.from({ length: Math.max(0, Math.min(per_page, total - start)) }, (_, i) => start + i) };
+  };
+  return { list, calls };
+}
+
+test("listUpTo pages until the list ends or max is reached", async () => {
+  const all = pagedList(250);
+  assert.equal((await listUpTo(all.list, {}, 1000)).length, 250);
+  assert.deepEqual(all.calls, [1, 2, 3]);
+
+  const capped = pagedList(250);
+  const items = await listUpTo(capped.list, {}, 120);
+  assert.equal(items.length, 120);
+  assert.equal(items[119], 119);
+  assert.deepEqual(capped.calls, [1, 2]);
+});
+
+test("mapWithConcurrency bounds calls in flight and keeps input order", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (n) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, n));
+    inFlight--;
+    return n * 10;
+  });
+  assert.deepEqual(results, [50, 10, 40, 20, 30]);
+  assert.equal(peak, 2);
+});